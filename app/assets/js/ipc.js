@@ -2,6 +2,7 @@ const { ipcRenderer } = require('electron');
 import { ready, removeAllChildNodes } from './util.js';
 import {
 	populateConnectionsList,
+	addConnectionToList,
 	addPacketToList,
 	connectionsListSection,
 	packetDetailsSection,
@@ -24,6 +25,30 @@ ipcRenderer.on('connections', (event, connections) => {
 	populateConnectionsList(JSON.parse(connections));
 });
 
+ipcRenderer.on('connection', (event, connection) => {
+	addConnectionToList(JSON.parse(connection));
+});
+
+const promptDialog = document.getElementById('prompt-dialog');
+const promptMessage = document.getElementById('prompt-message');
+const promptInput = document.getElementById('prompt-input');
+
+ipcRenderer.on('prompt', (event, { message, password }) => {
+	promptMessage.textContent = message;
+	promptInput.type = password ? 'password' : 'text';
+	promptInput.value = '';
+	promptDialog.returnValue = '';
+	promptDialog.showModal();
+});
+
+promptDialog.addEventListener('close', () => {
+	// * Cancelled, including with Escape, sends null
+	const value = promptDialog.returnValue === 'ok' ? promptInput.value : null;
+
+	promptInput.value = '';
+	ipcRenderer.send('prompt-result', value);
+});
+
 ipcRenderer.on('hide-ping-packets', hidePingPackets);
 
 ipcRenderer.on('show-ping-packets', showPingPackets);
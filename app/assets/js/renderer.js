@@ -44,36 +44,85 @@ mainElementResizeObserver.observe(mainElement);
  */
 export function populateConnectionsList(connections) {
 	for (const connection of connections) {
-		const connectionElementDiv = document.createElement('div');
-		connectionElementDiv.classList.add('connection');
+		addConnectionToList(connection);
+	}
+}
+
+/**
+ * Adds a connection to the connections list, or updates it if already listed
+ *
+ * @param {object} connection NEX connection
+ */
+export function addConnectionToList(connection) {
+	let title;
+
+	// * Hack to detect raw RMC connections
+	if (connection.discriminator !== 'authentication' && connection.discriminator !== 'secure') {
+		title = `${connection.discriminator} ${connection.title.name || 'Unknown'} (${connection.secure ? 'Secure' : 'Authentication'})`;
+	} else {
+		title = `${connection.title.name || 'Unknown'} (${connection.secure ? 'Secure' : 'Authentication'})`;
+	}
 
-		let title;
+	const existingConnectionElementDiv = Array.from(connectionsListSection.querySelectorAll('.connection')).find(element => element.dataset.discriminator === connection.discriminator);
 
-		// * Hack to detect raw RMC connections
-		if (connection.discriminator !== 'authentication' && connection.discriminator !== 'secure') {
-			title = `${connection.discriminator} ${connection.title.name || 'Unknown'} (${connection.secure ? 'Secure' : 'Authentication'})`;
+	if (connection.sessions?.length > 1) {
+		title += ` ${connection.sessions.length} sessions`;
+	}
+
+	if (connection.warnings?.length) {
+		title += ' (!)';
+	}
+
+	if (existingConnectionElementDiv) {
+		existingConnectionElementDiv.querySelector('span').textContent = title;
+		existingConnectionElementDiv.title = connectionTooltip(connection);
+		return;
+	}
+
+	const connectionElementDiv = document.createElement('div');
+	connectionElementDiv.classList.add('connection');
+	connectionElementDiv.dataset.discriminator = connection.discriminator;
+	connectionElementDiv.title = connectionTooltip(connection);
+
+	const connectionTitle = document.createElement('span');
+	connectionTitle.appendChild(document.createTextNode(title));
+
+	connectionElementDiv.appendChild(connectionTitle);
+
+	connectionElementDiv.addEventListener('click', () => {
+		if (connectionElementDiv.classList.contains('selected')) {
+			removePacketFilter();
 		} else {
-			title = `${connection.title.name || 'Unknown'} (${connection.secure ? 'Secure' : 'Authentication'})`;
+			filterPacketsByDiscriminator(connection.discriminator);
 		}
 
-		const connectionTitle = document.createElement('span');
-		connectionTitle.appendChild(document.createTextNode(title));
+		document.querySelector('.connection.selected')?.classList.toggle('selected');
+		connectionElementDiv.classList.toggle('selected');
+	});
 
-		connectionElementDiv.appendChild(connectionTitle);
+	connectionsListSection.appendChild(connectionElementDiv);
+}
 
-		connectionElementDiv.addEventListener('click', () => {
-			if (connectionElementDiv.classList.contains('selected')) {
-				removePacketFilter();
-			} else {
-				filterPacketsByDiscriminator(connection.discriminator);
-			}
+/**
+ * @param {object} connection NEX connection
+ * @returns {string} One line per session with its duration, packet/byte counts and how it closed, then any warnings
+ */
+function connectionTooltip(connection) {
+	if (!connection.sessions) {
+		return '';
+	}
 
-			document.querySelector('.connection.selected')?.classList.toggle('selected');
-			connectionElementDiv.classList.toggle('selected');
-		});
+	const lines = connection.sessions.map(session => {
+		const closed = session.closeReason ? `closed by ${session.closeReason}` : session.state;
 
-		connectionsListSection.appendChild(connectionElementDiv);
+		return `Session ${session.id}: ${session.duration.toFixed(3)} seconds, ${session.packets} packets, ${session.bytes} bytes, ${closed}`;
+	});
+
+	for (const warning of connection.warnings || []) {
+		lines.push(`Warning: ${warning}`);
 	}
+
+	return lines.join('\n');
 }
 
 /**
@@ -158,6 +207,10 @@ export function addPacketToList(packet) {
 		infoData.push(packet.type);
 	}
 
+	if (!packet.rawRMC && packet.substreamId) {
+		infoData.push(`SUBSTREAM=${packet.substreamId}`);
+	}
+
 	if (!packet.rawRMC && packet.type === 'DATA') {
 		infoData.push(`FRAGMENT=${packet.fragmentId}`);
 	}
@@ -172,7 +225,27 @@ export function addPacketToList(packet) {
 		isAck = true;
 	}
 
-	if (packet.stackTrace) {
+	if (packet.retransmission) {
+		infoData.push(`RETRANSMISSION #${packet.retransmission.count}`);
+	}
+
+	if (packet.missingSequenceIds) {
+		infoData.push(`MISSING=${JSON.stringify(packet.missingSequenceIds)}`);
+	}
+
+	if (packet.arrivedLate) {
+		infoData.push('LATE');
+	}
+
+	if (packet.incompleteMessage) {
+		infoData.push('INCOMPLETE RMC MESSAGE');
+	}
+
+	if (packet.invalidChecksum) {
+		infoData.push(packet.version === 0 ? 'BAD CHECKSUM' : 'BAD SIGNATURE');
+	}
+
+	if (packet.stackTrace || packet.invalidChecksum) {
 		tr.classList.add('error');
 	}
 
@@ -284,6 +357,12 @@ function updatePacketDetails(packet) {
 	rootElementSequenceIdName.classList.add('name');
 	rootElementSequenceIdValue.classList.add('value');
 
+	const rootElementSubstreamIdDiv = document.createElement('div');
+	const rootElementSubstreamIdName = document.createElement('span');
+	const rootElementSubstreamIdValue = document.createElement('span');
+	rootElementSubstreamIdName.classList.add('name');
+	rootElementSubstreamIdValue.classList.add('value');
+
 	const rootElementFragmentIdDiv = document.createElement('div');
 	const rootElementFragmentIdName = document.createElement('span');
 	const rootElementFragmentIdValue = document.createElement('span');
@@ -296,6 +375,24 @@ function updatePacketDetails(packet) {
 	rootElementChecksumName.classList.add('name');
 	rootElementChecksumValue.classList.add('value');
 
+	const rootElementDateDiv = document.createElement('div');
+	const rootElementDateName = document.createElement('span');
+	const rootElementDateValue = document.createElement('span');
+	rootElementDateName.classList.add('name');
+	rootElementDateValue.classList.add('value');
+
+	const rootElementRelativeTimeDiv = document.createElement('div');
+	const rootElementRelativeTimeName = document.createElement('span');
+	const rootElementRelativeTimeValue = document.createElement('span');
+	rootElementRelativeTimeName.classList.add('name');
+	rootElementRelativeTimeValue.classList.add('value');
+
+	const rootElementDeltaTimeDiv = document.createElement('div');
+	const rootElementDeltaTimeName = document.createElement('span');
+	const rootElementDeltaTimeValue = document.createElement('span');
+	rootElementDeltaTimeName.classList.add('name');
+	rootElementDeltaTimeValue.classList.add('value');
+
 	rootElementSourceName.appendChild(document.createTextNode('Source:'));
 	rootElementSourceValue.appendChild(document.createTextNode(packet.source));
 	rootElementDestinationName.appendChild(document.createTextNode('Destination:'));
@@ -310,10 +407,18 @@ function updatePacketDetails(packet) {
 	rootElementSignatureValue.appendChild(document.createTextNode(packet.signature));
 	rootElementSequenceIdName.appendChild(document.createTextNode('SequenceId:'));
 	rootElementSequenceIdValue.appendChild(document.createTextNode(packet.sequenceId));
+	rootElementSubstreamIdName.appendChild(document.createTextNode('SubstreamId:'));
+	rootElementSubstreamIdValue.appendChild(document.createTextNode(packet.substreamId));
 	rootElementFragmentIdName.appendChild(document.createTextNode('FragmentId:'));
 	rootElementFragmentIdValue.appendChild(document.createTextNode(packet.fragmentId));
 	rootElementChecksumName.appendChild(document.createTextNode('Checksum:'));
 	rootElementChecksumValue.appendChild(document.createTextNode(packet.checksum));
+	rootElementDateName.appendChild(document.createTextNode('Date:'));
+	rootElementDateValue.appendChild(document.createTextNode(packet.date));
+	rootElementRelativeTimeName.appendChild(document.createTextNode('Relative Time:'));
+	rootElementRelativeTimeValue.appendChild(document.createTextNode(`${packet.relativeTime?.toFixed(9)} seconds`));
+	rootElementDeltaTimeName.appendChild(document.createTextNode('Delta Time (Connection):'));
+	rootElementDeltaTimeValue.appendChild(document.createTextNode(`${packet.deltaTime?.toFixed(9)} seconds`));
 
 	rootElementSourceDiv.appendChild(rootElementSourceName);
 	rootElementSourceDiv.appendChild(rootElementSourceValue);
@@ -329,10 +434,18 @@ function updatePacketDetails(packet) {
 	rootElementSignatureDiv.appendChild(rootElementSignatureValue);
 	rootElementSequenceIdDiv.appendChild(rootElementSequenceIdName);
 	rootElementSequenceIdDiv.appendChild(rootElementSequenceIdValue);
+	rootElementSubstreamIdDiv.appendChild(rootElementSubstreamIdName);
+	rootElementSubstreamIdDiv.appendChild(rootElementSubstreamIdValue);
 	rootElementFragmentIdDiv.appendChild(rootElementFragmentIdName);
 	rootElementFragmentIdDiv.appendChild(rootElementFragmentIdValue);
 	rootElementChecksumDiv.appendChild(rootElementChecksumName);
 	rootElementChecksumDiv.appendChild(rootElementChecksumValue);
+	rootElementDateDiv.appendChild(rootElementDateName);
+	rootElementDateDiv.appendChild(rootElementDateValue);
+	rootElementRelativeTimeDiv.appendChild(rootElementRelativeTimeName);
+	rootElementRelativeTimeDiv.appendChild(rootElementRelativeTimeValue);
+	rootElementDeltaTimeDiv.appendChild(rootElementDeltaTimeName);
+	rootElementDeltaTimeDiv.appendChild(rootElementDeltaTimeValue);
 
 	rootSummary.appendChild(document.createTextNode('Packet'));
 
@@ -344,6 +457,10 @@ function updatePacketDetails(packet) {
 	rootDiv.appendChild(rootElementSignatureDiv);
 	rootDiv.appendChild(rootElementSequenceIdDiv);
 
+	if (packet.version === 1) {
+		rootDiv.appendChild(rootElementSubstreamIdDiv);
+	}
+
 	if (packet.type === 'DATA') {
 		rootDiv.appendChild(rootElementFragmentIdDiv);
 	}
@@ -352,6 +469,127 @@ function updatePacketDetails(packet) {
 		rootDiv.appendChild(rootElementChecksumDiv);
 	}
 
+	if (!packet.rawRMC) {
+		rootDiv.appendChild(rootElementDateDiv);
+		rootDiv.appendChild(rootElementRelativeTimeDiv);
+		rootDiv.appendChild(rootElementDeltaTimeDiv);
+	}
+
+	if (packet.acknowledgement) {
+		const rootElementAcknowledgementDiv = document.createElement('div');
+		const rootElementAcknowledgementName = document.createElement('span');
+		const rootElementAcknowledgementValue = document.createElement('span');
+		rootElementAcknowledgementName.classList.add('name');
+		rootElementAcknowledgementValue.classList.add('value');
+
+		const { substreamId, baseSequenceId, sequenceIds, acknowledgedSequenceIds } = packet.acknowledgement;
+		let acknowledgementString = `Substream ${substreamId}`;
+
+		if (baseSequenceId !== null) {
+			acknowledgementString += `, up to ${baseSequenceId}`;
+		}
+
+		if (sequenceIds.length) {
+			acknowledgementString += `, ${JSON.stringify(sequenceIds)}`;
+		}
+
+		acknowledgementString += ` (covers DATA ${JSON.stringify(acknowledgedSequenceIds)})`;
+
+		rootElementAcknowledgementName.appendChild(document.createTextNode('Acknowledges:'));
+		rootElementAcknowledgementValue.appendChild(document.createTextNode(acknowledgementString));
+
+		rootElementAcknowledgementDiv.appendChild(rootElementAcknowledgementName);
+		rootElementAcknowledgementDiv.appendChild(rootElementAcknowledgementValue);
+
+		rootDiv.appendChild(rootElementAcknowledgementDiv);
+	}
+
+	if (packet.retransmission) {
+		const rootElementRetransmissionDiv = document.createElement('div');
+		const rootElementRetransmissionName = document.createElement('span');
+		const rootElementRetransmissionValue = document.createElement('span');
+		rootElementRetransmissionName.classList.add('name');
+		rootElementRetransmissionValue.classList.add('value');
+
+		rootElementRetransmissionName.appendChild(document.createTextNode('Retransmission:'));
+		rootElementRetransmissionValue.appendChild(document.createTextNode(`#${packet.retransmission.count}, ${packet.retransmission.timeSinceOriginal.toFixed(9)} seconds after the original`));
+
+		rootElementRetransmissionDiv.appendChild(rootElementRetransmissionName);
+		rootElementRetransmissionDiv.appendChild(rootElementRetransmissionValue);
+
+		rootDiv.appendChild(rootElementRetransmissionDiv);
+	}
+
+	if (packet.incompleteMessage) {
+		const rootElementIncompleteMessageDiv = document.createElement('div');
+		const rootElementIncompleteMessageName = document.createElement('span');
+		const rootElementIncompleteMessageValue = document.createElement('span');
+		rootElementIncompleteMessageName.classList.add('name');
+		rootElementIncompleteMessageValue.classList.add('value');
+
+		let incompleteMessageString = `Missing fragments ${JSON.stringify(packet.incompleteMessage.missingSequenceIds)}`;
+
+		if (packet.incompleteMessage.missingLastFragment) {
+			incompleteMessageString += ' and the last fragment';
+		}
+
+		rootElementIncompleteMessageName.appendChild(document.createTextNode('Incomplete RMC Message:'));
+		rootElementIncompleteMessageValue.appendChild(document.createTextNode(incompleteMessageString));
+
+		rootElementIncompleteMessageDiv.appendChild(rootElementIncompleteMessageName);
+		rootElementIncompleteMessageDiv.appendChild(rootElementIncompleteMessageValue);
+
+		rootDiv.appendChild(rootElementIncompleteMessageDiv);
+	}
+
+	if (packet.invalidChecksum) {
+		const rootElementInvalidChecksumDiv = document.createElement('div');
+		const rootElementInvalidChecksumName = document.createElement('span');
+		const rootElementInvalidChecksumValue = document.createElement('span');
+		rootElementInvalidChecksumName.classList.add('name');
+		rootElementInvalidChecksumValue.classList.add('value');
+
+		rootElementInvalidChecksumName.appendChild(document.createTextNode(packet.version === 0 ? 'Invalid Checksum:' : 'Invalid Signature:'));
+		rootElementInvalidChecksumValue.appendChild(document.createTextNode(`Expected ${packet.invalidChecksum.expected}, calculated ${packet.invalidChecksum.calculated}`));
+
+		rootElementInvalidChecksumDiv.appendChild(rootElementInvalidChecksumName);
+		rootElementInvalidChecksumDiv.appendChild(rootElementInvalidChecksumValue);
+
+		rootDiv.appendChild(rootElementInvalidChecksumDiv);
+	}
+
+	if (packet.compression) {
+		const rootElementCompressionDiv = document.createElement('div');
+		const rootElementCompressionName = document.createElement('span');
+		const rootElementCompressionValue = document.createElement('span');
+		rootElementCompressionName.classList.add('name');
+		rootElementCompressionValue.classList.add('value');
+
+		rootElementCompressionName.appendChild(document.createTextNode('Compression:'));
+		rootElementCompressionValue.appendChild(document.createTextNode(`zlib, ${packet.compression.compressedSize} bytes compressed, ${packet.compression.uncompressedSize} bytes uncompressed (ratio ${packet.compression.ratio})`));
+
+		rootElementCompressionDiv.appendChild(rootElementCompressionName);
+		rootElementCompressionDiv.appendChild(rootElementCompressionValue);
+
+		rootDiv.appendChild(rootElementCompressionDiv);
+	}
+
+	if (packet.acknowledgedBy) {
+		const rootElementAcknowledgedByDiv = document.createElement('div');
+		const rootElementAcknowledgedByName = document.createElement('span');
+		const rootElementAcknowledgedByValue = document.createElement('span');
+		rootElementAcknowledgedByName.classList.add('name');
+		rootElementAcknowledgedByValue.classList.add('value');
+
+		rootElementAcknowledgedByName.appendChild(document.createTextNode('Acknowledged By:'));
+		rootElementAcknowledgedByValue.appendChild(document.createTextNode(`SequenceId ${packet.acknowledgedBy.sequenceId} after ${packet.acknowledgedBy.delay.toFixed(9)} seconds`));
+
+		rootElementAcknowledgedByDiv.appendChild(rootElementAcknowledgedByName);
+		rootElementAcknowledgedByDiv.appendChild(rootElementAcknowledgedByValue);
+
+		rootDiv.appendChild(rootElementAcknowledgedByDiv);
+	}
+
 	if (packet.stackTrace) {
 		const stackTraceRoot = document.createElement('div');
 		const stackTraceRootDetails = document.createElement('details');
@@ -366,7 +604,7 @@ function updatePacketDetails(packet) {
 		stackTraceRootDetails.appendChild(stackTraceRootDetailsRoot);
 		stackTraceRoot.appendChild(stackTraceRootDetails);
 		rootDiv.appendChild(stackTraceRoot);
-	} else if (packet.type === 'DATA' && !packet.flags.includes('ACK') && !packet.flags.includes('MULTI_ACK')) {
+	} else if (packet.type === 'DATA' && !packet.flags.includes('ACK') && !packet.flags.includes('MULTI_ACK') && !packet.incompleteMessage) {
 		const rmcRoot = document.createElement('div');
 		const rmcRootDetails = document.createElement('details');
 		const rmcRootSummary = document.createElement('summary');
@@ -2,6 +2,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 const { app, BrowserWindow, ipcMain, Menu, dialog } = require('electron');
 const NEXParser = require(__dirname + '/../');
+const KeyStore = require(__dirname + '/../src/key_store');
 
 BigInt.prototype.toJSON = function () { return this.toString(); };
 
@@ -9,6 +10,7 @@ app.setName('NEX Viewer');
 
 const appUserDataPath = app.getPath('userData');
 const settingsRootPath = path.join(appUserDataPath, 'settings.json');
+const importedKeysPath = path.join(appUserDataPath, 'nex-keys.txt'); // * Keys imported from console files
 
 const defaultSettings = {
 	recent_files: []
@@ -16,6 +18,138 @@ const defaultSettings = {
 
 let settings = defaultSettings;
 let rawRMC = false;
+let followingParser;
+let unlockedKeysFile = null; // * Encrypted keys file unlocked this run as `{ path, passphrase }`, imported keys are saved to it
+
+// * Shared by every capture opened, keys files are only read once a key is needed
+const keyStore = new KeyStore();
+const defaultKeysFilePath = KeyStore.findKeysFile();
+
+if (defaultKeysFilePath) {
+	keyStore.loadKeysFile(defaultKeysFilePath);
+}
+
+if (fs.existsSync(importedKeysPath)) {
+	keyStore.loadKeysFile(importedKeysPath);
+}
+
+/**
+ * Imports NEX accounts from a console file and saves the derived keys for next time,
+ * in the unlocked encrypted keys file if there is one
+ *
+ * @param {string} title Open dialog title
+ * @param {Function} importer Key store method which imports the file, returning the imported account(s)
+ */
+async function importKeys(title, importer) {
+	const result = await dialog.showOpenDialog({
+		title,
+		properties: ['openFile']
+	});
+
+	if (result.canceled) {
+		return;
+	}
+
+	try {
+		const accounts = [importer.call(keyStore, result.filePaths[0])].flat();
+
+		if (unlockedKeysFile) {
+			// * Keep the keys behind the passphrase rather than next to it in plain text
+			keyStore.addToEncryptedKeysFile(unlockedKeysFile.path, unlockedKeysFile.passphrase, accounts);
+		} else {
+			fs.appendFileSync(importedKeysPath, accounts.map(({ pid, key }) => `${pid}:${key.toString('hex')}\n`).join(''));
+		}
+
+		dialog.showMessageBox({
+			message: `Imported NEX keys for PID ${accounts.map(({ pid }) => pid).join(', ')}`
+		});
+	} catch (error) {
+		dialog.showErrorBox('Failed to import NEX keys', error.message);
+	}
+}
+
+/**
+ * Asks for some text in the renderer
+ *
+ * @param {BrowserWindow} browserWindow Window to show the prompt in
+ * @param {string} message Prompt message
+ * @param {boolean} [password] Hide what is typed
+ * @returns {Promise<string>} Entered text, or null if cancelled
+ */
+function prompt(browserWindow, message, password = false) {
+	return new Promise(resolve => {
+		ipcMain.once('prompt-result', (event, value) => resolve(value));
+		browserWindow.webContents.send('prompt', { message, password });
+	});
+}
+
+/**
+ * Asks for a session key and what it is for, for captures which do not include the login
+ *
+ * @param {BrowserWindow} browserWindow Window to show the prompts in
+ */
+async function addSessionKey(browserWindow) {
+	const target = await prompt(browserWindow, 'PID of the account, or address:port of the secure server connection');
+
+	if (target === null) {
+		return;
+	}
+
+	const key = await prompt(browserWindow, 'Session key (hex)', true);
+
+	if (key === null) {
+		return;
+	}
+
+	try {
+		if (/^\d+$/.test(target.trim())) {
+			keyStore.addSessionKey(target.trim(), key.trim());
+		} else {
+			keyStore.addConnectionSessionKey(target.trim(), key.trim());
+		}
+
+		dialog.showMessageBox({
+			message: `Added session key for ${target.trim()}. Open the capture again to use it`
+		});
+	} catch (error) {
+		dialog.showErrorBox('Failed to add session key', error.message);
+	}
+}
+
+/**
+ * Unlocks a passphrase protected keys file, asking again until the passphrase is right or the prompt is cancelled
+ *
+ * @param {BrowserWindow} browserWindow Window to show the prompt in
+ * @param {string} keysFilePath Path to the encrypted keys file
+ */
+async function unlockKeysFile(browserWindow, keysFilePath) {
+	let message = `Passphrase for ${path.basename(keysFilePath)}`;
+
+	for (;;) {
+		const passphrase = await prompt(browserWindow, message, true);
+
+		if (passphrase === null) {
+			return;
+		}
+
+		try {
+			keyStore.unlockKeysFile(keysFilePath, passphrase);
+			unlockedKeysFile = {
+				path: keysFilePath,
+				passphrase
+			};
+
+			return;
+		} catch (error) {
+			if (!error.message.startsWith('Wrong passphrase')) {
+				dialog.showErrorBox('Failed to unlock NEX keys', error.message);
+				return;
+			}
+
+			message = `Wrong passphrase for ${path.basename(keysFilePath)}, try again`;
+		}
+	}
+}
 
 if (!fs.existsSync(settingsRootPath)) {
 	fs.writeFileSync(settingsRootPath, JSON.stringify(defaultSettings));
@@ -37,9 +171,10 @@ const menuTemplate = [
 				label: 'Open File',
 				async click(menuItem, browserWindow) {
 					const result = await dialog.showOpenDialog({
-						properties: ['openFile'],
+						properties: ['openFile', 'multiSelections'], // * Several files are parsed as one capture
 						filters: [
-							{ name: 'Packet Capture', extensions: ['pcapng', 'pcap'] }
+							{ name: 'Packet Capture', extensions: ['pcapng', 'pcap', 'cap'] },
+							{ name: 'All Files', extensions: ['*'] }
 						]
 					});
 
@@ -49,11 +184,16 @@ const menuTemplate = [
 
 					browserWindow.webContents.send('clear-sections');
 
-					const filePath = result.filePaths[0];
+					// * Ring buffer captures number their files, so name order is capture order
+					const filePaths = result.filePaths.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
 
-					browserWindow.setTitle(`NEX Viewer - ${filePath}`);
+					if (filePaths.length === 1) {
+						browserWindow.setTitle(`NEX Viewer - ${filePaths[0]}`);
+					} else {
+						browserWindow.setTitle(`NEX Viewer - ${filePaths[0]} (+${filePaths.length - 1} more)`);
+					}
 
-					const parser = new NEXParser();
+					const parser = new NEXParser({ keyStore });
 					parser.setRawRMCMode(rawRMC);
 
 					parser.on('packet', packet => {
@@ -66,7 +206,134 @@ const menuTemplate = [
 						browserWindow.webContents.send('connections', serialized);
 					});
 
-					parser.parse(filePath);
+					parser.on('error', error => {
+						dialog.showErrorBox('Failed to parse capture', error.message);
+					});
+
+					parser.parseCaptures(filePaths);
+				}
+			},
+			{
+				label: 'Follow File',
+				async click(menuItem, browserWindow) {
+					const result = await dialog.showOpenDialog({
+						properties: ['openFile'],
+						filters: [
+							{ name: 'Packet Capture', extensions: ['pcapng', 'pcap', 'cap'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+
+					if (result.canceled) {
+						return;
+					}
+
+					followingParser?.stopFollowing();
+
+					browserWindow.webContents.send('clear-sections');
+
+					const filePath = result.filePaths[0];
+
+					browserWindow.setTitle(`NEX Viewer - ${filePath} (following)`);
+
+					const parser = new NEXParser({ keyStore });
+					const sentConnections = {};
+
+					followingParser = parser;
+					menu.getMenuItemById('stop-following').enabled = true;
+
+					parser.on('packet', packet => {
+						const serialized = JSON.stringify(packet);
+						browserWindow.webContents.send('packet', serialized);
+
+						// * Connection details such as the title are filled in
+						// * as packets come in, so resend them when they change
+						const connection = JSON.stringify(packet.connection);
+						if (sentConnections[packet.connection.discriminator] !== connection) {
+							sentConnections[packet.connection.discriminator] = connection;
+							browserWindow.webContents.send('connection', connection);
+						}
+					});
+
+					parser.on('connection', connection => {
+						const serialized = JSON.stringify(connection);
+						sentConnections[connection.discriminator] = serialized;
+						browserWindow.webContents.send('connection', serialized);
+					});
+
+					parser.on('connections', () => {
+						browserWindow.setTitle(`NEX Viewer - ${filePath}`);
+					});
+
+					parser.on('error', error => {
+						dialog.showErrorBox('Failed to parse capture', error.message);
+					});
+
+					parser.follow(filePath);
+				}
+			},
+			{
+				label: 'Stop Following',
+				id: 'stop-following',
+				enabled: false,
+				click(menuItem) {
+					followingParser?.stopFollowing();
+					followingParser = undefined;
+					menuItem.enabled = false;
+				}
+			},
+			{
+				label: 'Load NEX Keys File',
+				async click() {
+					const result = await dialog.showOpenDialog({
+						properties: ['openFile'],
+						filters: [
+							{ name: 'NEX Keys', extensions: ['txt'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+
+					if (result.canceled) {
+						return;
+					}
+
+					keyStore.loadKeysFile(result.filePaths[0]);
+				}
+			},
+			{
+				label: 'Unlock Encrypted NEX Keys File',
+				async click(menuItem, browserWindow) {
+					const result = await dialog.showOpenDialog({
+						properties: ['openFile'],
+						filters: [
+							{ name: 'Encrypted NEX Keys', extensions: ['enc'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+
+					if (result.canceled) {
+						return;
+					}
+
+					await unlockKeysFile(browserWindow, result.filePaths[0]);
+				}
+			},
+			{
+				label: 'Add Session Key',
+				click(menuItem, browserWindow) {
+					addSessionKey(browserWindow);
+				}
+			},
+			{
+				label: 'Import Wii U account.dat',
+				click() {
+					importKeys('Select a Wii U account.dat file', keyStore.importWiiUAccount);
+				}
+			},
+			{
+				label: 'Import 3DS nex-keys.txt',
+				click() {
+					importKeys('Select the nex-keys.txt file from the 3DS SD card', keyStore.import3DSKeys);
 				}
 			},
 			{
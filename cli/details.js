@@ -0,0 +1,293 @@
+const LIST_TYPE_REGEX = /List<(.*)>/;
+const MAP_TYPE_REGEX = /Map<(.*)>/;
+
+const NEX_PRIMATIVES = [
+	'uint8',
+	'sint8',
+	'uint16',
+	'sint16',
+	'uint32',
+	'sint32',
+	'uint64',
+	'sint64',
+	'Float',
+	'Double',
+	'boolean',
+	'String',
+	'PID', // * PID is the same as a uint32
+	'Buffer',
+	'qBuffer',
+];
+
+/**
+ * @typedef {object} DetailsNode
+ * @property {string} label Text shown for the node
+ * @property {Array<DetailsNode>} [children] Child nodes. Only set on expandable nodes
+ * @property {boolean} [open] Whether the node starts expanded
+ */
+
+/**
+ *
+ * @param {*} item Value to check if is Object
+ * @returns {boolean} Is object?
+ */
+function isObject(item) {
+	return (typeof item === 'object' && !Array.isArray(item) && item !== null);
+}
+
+/**
+ *
+ * @param {Array<number>} byteArray Array of bytes to convert to HEX string
+ * @returns {string} Formated HEX string
+ */
+function toHexString(byteArray) {
+	return Array.from(byteArray, byte => ('0' + (byte & 0xFF).toString(16)).slice(-2)).join(':');
+}
+
+/**
+ *
+ * @param {string} name Field name
+ * @param {*} value Field value
+ * @returns {DetailsNode} Leaf node
+ */
+function field(name, value) {
+	return {
+		label: `${name} ${value}`
+	};
+}
+
+/**
+ * Builds the same tree the app shows in the packet details pane
+ *
+ * @param {object} packet Serialized packet, as returned by `Packet.toJSON`
+ * @returns {DetailsNode} Root node of the packet details
+ */
+function packetDetailsTree(packet) {
+	const children = [
+		field('Source:', packet.source),
+		field('Destination:', packet.destination),
+		field('Flags:', JSON.stringify(packet.flags)),
+		field('Type:', packet.type),
+		field('SessionId:', packet.sessionId),
+		field('Signature:', packet.signature),
+		field('SequenceId:', packet.sequenceId)
+	];
+
+	if (packet.version === 1) {
+		children.push(field('SubstreamId:', packet.substreamId));
+	}
+
+	if (packet.type === 'DATA') {
+		children.push(field('FragmentId:', packet.fragmentId));
+	}
+
+	if (packet.version === 0) {
+		children.push(field('Checksum:', packet.checksum));
+	}
+
+	if (!packet.rawRMC) {
+		children.push(field('Date:', packet.date));
+		children.push(field('Relative Time:', `${packet.relativeTime?.toFixed(9)} seconds`));
+		children.push(field('Delta Time (Connection):', `${packet.deltaTime?.toFixed(9)} seconds`));
+	}
+
+	if (packet.acknowledgement) {
+		const { substreamId, baseSequenceId, sequenceIds, acknowledgedSequenceIds } = packet.acknowledgement;
+		let acknowledgement = `Substream ${substreamId}`;
+
+		if (baseSequenceId !== null) {
+			acknowledgement += `, up to ${baseSequenceId}`;
+		}
+
+		if (sequenceIds.length) {
+			acknowledgement += `, ${JSON.stringify(sequenceIds)}`;
+		}
+
+		children.push(field('Acknowledges:', `${acknowledgement} (covers DATA ${JSON.stringify(acknowledgedSequenceIds)})`));
+	}
+
+	if (packet.retransmission) {
+		children.push(field('Retransmission:', `#${packet.retransmission.count}, ${packet.retransmission.timeSinceOriginal.toFixed(9)} seconds after the original`));
+	}
+
+	if (packet.incompleteMessage) {
+		let incompleteMessage = `Missing fragments ${JSON.stringify(packet.incompleteMessage.missingSequenceIds)}`;
+
+		if (packet.incompleteMessage.missingLastFragment) {
+			incompleteMessage += ' and the last fragment';
+		}
+
+		children.push(field('Incomplete RMC Message:', incompleteMessage));
+	}
+
+	if (packet.invalidChecksum) {
+		children.push(field(packet.version === 0 ? 'Invalid Checksum:' : 'Invalid Signature:', `Expected ${packet.invalidChecksum.expected}, calculated ${packet.invalidChecksum.calculated}`));
+	}
+
+	if (packet.compression) {
+		children.push(field('Compression:', `zlib, ${packet.compression.compressedSize} bytes compressed, ${packet.compression.uncompressedSize} bytes uncompressed (ratio ${packet.compression.ratio})`));
+	}
+
+	if (packet.acknowledgedBy) {
+		children.push(field('Acknowledged By:', `SequenceId ${packet.acknowledgedBy.sequenceId} after ${packet.acknowledgedBy.delay.toFixed(9)} seconds`));
+	}
+
+	if (packet.stackTrace) {
+		children.push({
+			label: 'Stack trace',
+			children: packet.stackTrace.split('\n').map(line => ({ label: line }))
+		});
+	} else if (packet.type === 'DATA' && !packet.flags.includes('ACK') && !packet.flags.includes('MULTI_ACK') && !packet.incompleteMessage) {
+		children.push(rmcDetailsTree(packet.rmc));
+	}
+
+	return {
+		label: 'Packet',
+		children,
+		open: true
+	};
+}
+
+/**
+ *
+ * @param {object} rmc Serialized RMC message
+ * @returns {DetailsNode} RMC node
+ */
+function rmcDetailsTree(rmc) {
+	const children = [
+		field('Protocol ID:', rmc.protocolId)
+	];
+
+	if (rmc.protocolId === 0x7F) {
+		children.push(field('Custom ID:', rmc.customId));
+	}
+
+	children.push(field('Method ID:', rmc.methodId));
+	children.push(field('Call ID:', rmc.callId));
+
+	if (rmc.isRequest === true || rmc.isSuccess === true) {
+		if (Object.keys(rmc.body).length === 0) {
+			if (rmc.isRequest) {
+				children.push(field('Body:', 'This method takes no parameters'));
+			} else {
+				children.push(field('Body:', 'This method doesn\'t return anything'));
+			}
+		} else {
+			children.push({
+				label: 'Body',
+				children: rmcBodyNodes(rmc.body)
+			});
+		}
+	} else if (rmc.isRequest === false && rmc.isSuccess === false) {
+		// * Error codes only exist on responses
+		children.push(field('Error Code:', rmc.errorCode));
+	}
+
+	return {
+		label: 'RMC',
+		children
+	};
+}
+
+/**
+ *
+ * @param {object} rmcData RMC data to serialize
+ * @returns {Array<DetailsNode>} Nodes for each field of the RMC data
+ */
+function rmcBodyNodes(rmcData) {
+	const nodes = [];
+
+	for (const key in rmcData) {
+		if (Object.hasOwnProperty.call(rmcData, key)) {
+			const value = rmcData[key];
+			const typeName = value.__typeName;
+			let typeValue = value.__typeValue;
+
+			if (typeName === 'Buffer' || typeName === 'qBuffer' || typeName === 'unknown') {
+				typeValue = toHexString(typeValue.data); // * typeValue is a NodeJS Buffer object
+			}
+
+			if (key === '__typeInherits') {
+				for (const inheritedType of value) {
+					nodes.push({
+						label: `Inherits from ${inheritedType.__typeName}`,
+						children: rmcBodyNodes(inheritedType.__typeValue)
+					});
+				}
+			} else if (key === '__structureVersion') {
+				nodes.push(field('Structure Version:', value));
+			} else if (isObject(typeValue)) {
+				nodes.push({
+					label: `${key} (${typeName})`,
+					children: rmcBodyNodes(typeValue)
+				});
+			} else if (Array.isArray(typeValue)) {
+				nodes.push(nexListNode(key, value));
+			} else {
+				nodes.push(field(`${key} (${typeName}):`, typeValue));
+			}
+		}
+	}
+
+	return nodes;
+}
+
+/**
+ *
+ * @param {string} key Name of NEX list
+ * @param {object} value NEX list to serialize
+ * @returns {DetailsNode} List node
+ */
+function nexListNode(key, value) {
+	const typeName = value.__typeName;
+	const typeValue = value.__typeValue;
+
+	const listType = typeName.match(LIST_TYPE_REGEX)?.[1] || typeName; // * Support Map lists
+	const isList = LIST_TYPE_REGEX.test(listType);
+	let isMap = false;
+	let mapKeyTypeName;
+	let mapValueTypeName;
+
+	if (listType.match(MAP_TYPE_REGEX)) {
+		isMap = true;
+		[mapKeyTypeName, mapValueTypeName] = listType.match(MAP_TYPE_REGEX)[1].split(', ');
+	}
+
+	const children = [];
+
+	for (let i = 0; i < typeValue.length; i++) {
+		let element = typeValue[i];
+
+		if (NEX_PRIMATIVES.includes(listType)) {
+			if (listType === 'Buffer' || listType === 'qBuffer') {
+				element = toHexString(element.data); // * element is a NodeJS Buffer object
+			}
+
+			children.push(field(`${key}[${i}] (${listType}):`, element));
+		} else if (isList) {
+			children.push(nexListNode(`${key}[${i}]`, {
+				__typeName: listType,
+				__typeValue: element
+			}));
+		} else {
+			if (isMap) {
+				element.key.__typeName = mapKeyTypeName;
+				element.value.__typeName = mapValueTypeName;
+			}
+
+			children.push({
+				label: `${key}[${i}] (${listType})`,
+				children: rmcBodyNodes(element)
+			});
+		}
+	}
+
+	return {
+		label: `${key} (${typeName} length ${typeValue.length})`,
+		children
+	};
+}
+
+module.exports = {
+	packetDetailsTree
+};
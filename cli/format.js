@@ -0,0 +1,124 @@
+/**
+ * @typedef {import('../src/connection')} Connection
+ */
+
+/**
+ * Builds the same summary shown in the Info column of the app
+ *
+ * @param {object} packet Serialized packet, as returned by `Packet.toJSON`
+ * @returns {string} Packet summary
+ */
+function packetInfo(packet) {
+	const infoData = [];
+	let isAck = false;
+
+	if (!packet.rawRMC) {
+		infoData.push(packet.type);
+	}
+
+	if (!packet.rawRMC && packet.substreamId) {
+		infoData.push(`SUBSTREAM=${packet.substreamId}`);
+	}
+
+	if (!packet.rawRMC && packet.type === 'DATA') {
+		infoData.push(`FRAGMENT=${packet.fragmentId}`);
+	}
+
+	if (!packet.rawRMC && packet.flags.includes('ACK')) {
+		infoData.push('ACK');
+		isAck = true;
+	}
+
+	if (!packet.rawRMC && packet.flags.includes('MULTI_ACK')) {
+		infoData.push('MULTI_ACK');
+		isAck = true;
+	}
+
+	if (packet.retransmission) {
+		infoData.push(`RETRANSMISSION #${packet.retransmission.count}`);
+	}
+
+	if (packet.missingSequenceIds) {
+		infoData.push(`MISSING=${JSON.stringify(packet.missingSequenceIds)}`);
+	}
+
+	if (packet.arrivedLate) {
+		infoData.push('LATE');
+	}
+
+	if (packet.incompleteMessage) {
+		infoData.push('INCOMPLETE RMC MESSAGE');
+	}
+
+	if (packet.invalidChecksum) {
+		infoData.push(packet.version === 0 ? 'BAD CHECKSUM' : 'BAD SIGNATURE');
+	}
+
+	if (packet.type === 'DATA' && packet.fragmentId === 0 && !isAck) {
+		infoData.push(`${packet.rmc.protocolName}->${packet.rmc.methodName}`);
+
+		if (packet.rmc.isRequest === true) {
+			infoData.push('REQUEST');
+		} else if (packet.rmc.isRequest === false) {
+			infoData.push('RESPONSE');
+
+			if (packet.rmc.isSuccess === true) {
+				infoData.push('SUCCESS');
+			} else if (packet.rmc.isSuccess === false) {
+				infoData.push('FAILURE');
+
+				if (packet.rmc.errorCode) {
+					infoData.push(`ERROR CODE=0x${packet.rmc.errorCode.toString(16)}`);
+				}
+			}
+		}
+	}
+
+	if (packet.stackTrace) {
+		infoData.push('DECODE ERROR');
+	}
+
+	return infoData.join(', ');
+}
+
+/**
+ *
+ * @param {Connection} connection NEX connection
+ * @returns {object} Connection summary row
+ */
+function connectionSummary(connection) {
+	const serialized = connection.toJSON();
+
+	return {
+		discriminator: serialized.discriminator,
+		title: serialized.title.name || 'Unknown',
+		pid: connection.clientPID ?? '',
+		server: serialized.secure ? 'Secure' : 'Authentication',
+		packets: connection.packets.length,
+		dataPackets: connection.packets.filter(packet => packet.isRawRMC || packet.isData()).length,
+		sessions: connection.sessions.length,
+		state: serialized.state
+	};
+}
+
+/**
+ *
+ * @param {Array<string>} headers Column headers
+ * @param {Array<Array<*>>} rows Table rows
+ * @returns {string} Rows padded into aligned columns
+ */
+function formatTable(headers, rows) {
+	const lines = [headers, ...rows].map(row => row.map(cell => String(cell ?? '')));
+	const widths = headers.map((header, column) => Math.max(...lines.map(line => line[column].length)));
+
+	return lines.map(line => {
+		// * Last column is not padded, it may be very long
+		return line.map((cell, column) => column === line.length - 1 ? cell : cell.padEnd(widths[column])).join('  ');
+	}).join('\n');
+}
+
+module.exports = {
+	packetInfo,
+	connectionSummary,
+	formatTable
+};
@@ -0,0 +1,579 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const NEXParser = require('..');
+const KeyStore = require('../src/key_store');
+const TerminalUI = require('./tui');
+const { packetInfo, connectionSummary, formatTable } = require('./format');
+
+BigInt.prototype.toJSON = function () { return this.toString(); };
+
+const USAGE = `Usage: nex-viewer <command> [options] <capture>...
+
+Several captures, such as the files of a ring buffer capture, are parsed as one
+capture in the order given. A login in one decrypts the secure server traffic in the next
+
+Commands:
+  connections <capture>...        List connections found in the capture
+  packets <capture>...            Print a summary line for each packet
+  show <capture>... <index>       Print a fully decoded packet by its index
+  export <capture>...             Export decoded packets and connections as JSON
+  tui <capture>...                Browse the capture in an interactive terminal UI
+  discarded <capture>...          List UDP datagrams which were not treated as PRUDP, and why
+  derive-keys [keys file]         Replace the passwords in a nex-keys.txt file with derived keys
+  encrypt-keys <keys file> <encrypted keys file>
+                                  Write the accounts in a nex-keys.txt file to a passphrase
+                                  protected keys file
+
+Options:
+  -c, --connection <address>      Only include packets from this connection discriminator
+  -p, --protocol <name|id>        Only include packets for this protocol
+  -m, --method <name|id>          Only include packets for this method
+      --hide-ping                 Hide PING packets
+  -s, --server <address>          Address and/or port of a known NEX server. May be repeated
+  -k, --keys <path>               nex-keys.txt file to read. May be repeated. Defaults to the
+                                  first nex-keys.txt found in the usual places
+  -e, --encrypted-keys <path>     Passphrase protected keys file to unlock. May be repeated. The
+                                  passphrase is read from NEX_KEYS_PASSPHRASE or asked for
+      --session-key <pid|address>=<key>
+                                  Session key for the secure server connections of a PID, or
+                                  for the connection to one server. May be repeated
+      --raw-rmc                   Parse the capture as raw RMC data from HokakuCTR
+      --lenient                   Keep packets with invalid checksums/signatures
+      --reorder-window <packets>  Reliable DATA packets to hold while waiting for a missing sequence ID
+      --fragment-timeout <seconds>
+                                  Seconds to wait for the missing fragments of an RMC message
+      --idle-timeout <seconds>    Seconds without packets before a session is considered timed out
+  -f, --format <json|jsonl>       Export format (default json)
+  -o, --output <path>             Write the export to a file instead of stdout
+  -h, --help                      Show this help
+`;
+
+const OPTIONS = {
+	'-c': 'connection',
+	'--connection': 'connection',
+	'-p': 'protocol',
+	'--protocol': 'protocol',
+	'-m': 'method',
+	'--method': 'method',
+	'-s': 'server',
+	'--server': 'server',
+	'-k': 'keys',
+	'--keys': 'keys',
+	'-e': 'encryptedKeys',
+	'--encrypted-keys': 'encryptedKeys',
+	'--session-key': 'sessionKeys',
+	'-f': 'format',
+	'--format': 'format',
+	'-o': 'output',
+	'--output': 'output',
+	'--reorder-window': 'reorderWindow',
+	'--fragment-timeout': 'fragmentTimeout',
+	'--idle-timeout': 'idleTimeout'
+};
+
+const FLAGS = {
+	'--hide-ping': 'hidePing',
+	'--raw-rmc': 'rawRMC',
+	'--lenient': 'lenient',
+	'-h': 'help',
+	'--help': 'help'
+};
+
+/**
+ *
+ * @param {Array<string>} argv Command line arguments, without the node and script paths
+ * @returns {object} Parsed command, positional arguments and options
+ */
+function parseArguments(argv) {
+	const positionals = [];
+	const options = {
+		server: [],
+		keys: [],
+		encryptedKeys: [],
+		sessionKeys: []
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const argument = argv[i];
+
+		if (FLAGS[argument]) {
+			options[FLAGS[argument]] = true;
+		} else if (OPTIONS[argument]) {
+			const value = argv[++i];
+
+			if (value === undefined) {
+				throw new Error(`Missing value for ${argument}`);
+			}
+
+			if (Array.isArray(options[OPTIONS[argument]])) {
+				options[OPTIONS[argument]].push(value);
+			} else {
+				options[OPTIONS[argument]] = value;
+			}
+		} else if (argument.startsWith('-') && argument !== '-') {
+			throw new Error(`Unknown option ${argument}`);
+		} else {
+			positionals.push(argument);
+		}
+	}
+
+	return {
+		command: positionals.shift(),
+		positionals,
+		options
+	};
+}
+
+/**
+ *
+ * @param {object} options Parsed command line options
+ * @returns {Array<string>} Keys files given with `--keys`, or the default keys file if there is one
+ */
+function keysFiles(options) {
+	if (options.keys.length !== 0) {
+		return options.keys;
+	}
+
+	const defaultKeysFilePath = KeyStore.findKeysFile();
+
+	return defaultKeysFilePath ? [defaultKeysFilePath] : [];
+}
+
+/**
+ * Rewrites a keys file with derived keys in place of passwords, so the
+ * passwords do not stay on disk in plain text
+ *
+ * @param {string} [keysFilePath] Keys file to rewrite. Defaults to the default keys file
+ */
+function deriveKeys(keysFilePath) {
+	keysFilePath = keysFilePath || KeyStore.findKeysFile();
+
+	if (!keysFilePath) {
+		throw new Error('Could not locate nex-keys.txt file');
+	}
+
+	const keyStore = new KeyStore();
+
+	keyStore.loadKeysFile(keysFilePath);
+	keyStore.writeKeysFile(keysFilePath);
+
+	console.log(`Derived keys for ${keyStore.accounts.size} accounts in ${keysFilePath}`);
+}
+
+/**
+ * Reads a passphrase from `NEX_KEYS_PASSPHRASE`, or from the terminal without echoing it
+ *
+ * @param {string} prompt Prompt written to stderr
+ * @returns {Promise<string>} Passphrase
+ */
+function readPassphrase(prompt) {
+	if (process.env.NEX_KEYS_PASSPHRASE !== undefined) {
+		return Promise.resolve(process.env.NEX_KEYS_PASSPHRASE);
+	}
+
+	if (!process.stdin.isTTY) {
+		return Promise.reject(new Error('stdin is not a terminal. Set NEX_KEYS_PASSPHRASE to unlock encrypted keys files'));
+	}
+
+	return new Promise((resolve, reject) => {
+		let passphrase = '';
+
+		const finish = () => {
+			process.stdin.removeListener('data', onData);
+			process.stdin.setRawMode(false);
+			process.stdin.pause();
+			process.stderr.write('\n');
+		};
+
+		const onData = chunk => {
+			for (const character of chunk) {
+				if (character === '\r' || character === '\n') {
+					finish();
+					resolve(passphrase);
+					return;
+				}
+
+				if (character === '\u0003') { // * Ctrl+C
+					finish();
+					reject(new Error('Cancelled'));
+					return;
+				}
+
+				if (character === '\u007F' || character === '\b') {
+					passphrase = passphrase.slice(0, -1);
+				} else {
+					passphrase += character;
+				}
+			}
+		};
+
+		process.stderr.write(prompt);
+		process.stdin.setEncoding('utf-8');
+		process.stdin.setRawMode(true);
+		process.stdin.on('data', onData);
+		process.stdin.resume();
+	});
+}
+
+/**
+ * Migrates a plain keys file to a passphrase protected one. The plain
+ * file is left alone so it can be deleted once the new one is checked
+ *
+ * @param {string} keysFilePath Plain keys file to read
+ * @param {string} encryptedKeysFilePath Path to write the encrypted keys file to
+ */
+async function encryptKeys(keysFilePath, encryptedKeysFilePath) {
+	if (!keysFilePath || !encryptedKeysFilePath) {
+		throw new Error('Missing keys file or encrypted keys file path');
+	}
+
+	const keyStore = new KeyStore();
+
+	keyStore.loadKeysFile(keysFilePath);
+	keyStore.loadPendingFiles(); // * Fail on a bad keys file before asking for a passphrase
+
+	const passphrase = await readPassphrase('Passphrase: ');
+
+	if (process.env.NEX_KEYS_PASSPHRASE === undefined && await readPassphrase('Repeat passphrase: ') !== passphrase) {
+		throw new Error('Passphrases do not match');
+	}
+
+	keyStore.writeEncryptedKeysFile(encryptedKeysFilePath, passphrase);
+
+	console.log(`Encrypted keys for ${keyStore.accounts.size} accounts to ${encryptedKeysFilePath}`);
+	console.log(`Delete ${keysFilePath} once the encrypted keys file is working`);
+}
+
+/**
+ *
+ * @param {NEXParser} parser Parser to give the session key to
+ * @param {string} sessionKey `--session-key` value, `PID=KEY` or `ADDRESS:PORT=KEY`
+ */
+function addSessionKey(parser, sessionKey) {
+	const separator = sessionKey.lastIndexOf('=');
+
+	if (separator === -1) {
+		throw new Error(`Invalid session key ${sessionKey}. Expected <pid|address>=<key>`);
+	}
+
+	const target = sessionKey.slice(0, separator);
+	const key = sessionKey.slice(separator + 1);
+
+	if (/^\d+$/.test(target)) {
+		parser.addSessionKey(target, key);
+	} else {
+		parser.addConnectionSessionKey(target, key);
+	}
+}
+
+/**
+ *
+ * @param {Array<string>} capturePaths Paths to the captures in the order they were captured, or `-` for stdin
+ * @param {object} options Parsed command line options
+ * @returns {Promise<object>} Connections and packets found in the captures
+ */
+async function parseCapture(capturePaths, options) {
+	if (capturePaths.length === 0) {
+		throw new Error('Missing capture path');
+	}
+
+	if (capturePaths.length > 1 && capturePaths.includes('-')) {
+		throw new Error('stdin can only be read as the only capture');
+	}
+
+	const parser = new NEXParser({
+		serverAddresses: options.server,
+		reorderWindow: options.reorderWindow === undefined ? undefined : Number(options.reorderWindow),
+		fragmentTimeout: options.fragmentTimeout === undefined ? undefined : Number(options.fragmentTimeout),
+		idleTimeout: options.idleTimeout === undefined ? undefined : Number(options.idleTimeout),
+		lenient: !!options.lenient
+	});
+
+	parser.setRawRMCMode(!!options.rawRMC);
+
+	for (const keysFilePath of keysFiles(options)) {
+		parser.loadKeysFile(keysFilePath);
+	}
+
+	for (const keysFilePath of options.encryptedKeys) {
+		parser.unlockKeysFile(keysFilePath, await readPassphrase(`Passphrase for ${keysFilePath}: `));
+	}
+
+	for (const sessionKey of options.sessionKeys) {
+		addSessionKey(parser, sessionKey);
+	}
+
+	const packets = [];
+	const discarded = [];
+
+	parser.on('packet', packet => packets.push(packet));
+	parser.on('discarded', datagram => discarded.push(datagram));
+
+	const connections = await parser.parseFiles(capturePaths.map(capturePath => capturePath === '-' ? process.stdin : capturePath));
+
+	return {
+		connections,
+		packets,
+		discarded
+	};
+}
+
+/**
+ *
+ * @param {object} packet Serialized packet
+ * @param {string} filter Protocol or method filter, either a name or a number
+ * @param {string} nameKey Key of the name in `packet.rmc`
+ * @param {Array<string>} idKeys Keys of the IDs in `packet.rmc`
+ * @returns {boolean} True if the packet matches the filter
+ */
+function matchesRMCFilter(packet, filter, nameKey, idKeys) {
+	if (/^(0x[0-9a-f]+|\d+)$/i.test(filter)) {
+		const id = Number(filter);
+		return idKeys.some(key => packet.rmc[key] === id);
+	}
+
+	return packet.rmc[nameKey]?.toLowerCase() === filter.toLowerCase();
+}
+
+/**
+ *
+ * @param {Array<object>} packets Packets from the capture
+ * @param {object} options Parsed command line options
+ * @returns {Array<object>} Index and serialized data of each packet which passes the filters
+ */
+function filterPackets(packets, options) {
+	const entries = packets.map((packet, index) => ({
+		index,
+		packet,
+		serialized: JSON.parse(JSON.stringify(packet))
+	}));
+
+	return entries.filter(({ packet, serialized }) => {
+		if (options.connection) {
+			const discriminator = packet.connection.discriminator;
+
+			if (discriminator !== options.connection && serialized.sourceAddress !== options.connection && serialized.destinationAddress !== options.connection) {
+				return false;
+			}
+		}
+
+		if (options.hidePing && serialized.type === 'PING') {
+			return false;
+		}
+
+		if (options.protocol && !matchesRMCFilter(serialized, options.protocol, 'protocolName', ['protocolId', 'customId'])) {
+			return false;
+		}
+
+		if (options.method && !matchesRMCFilter(serialized, options.method, 'methodName', ['methodId'])) {
+			return false;
+		}
+
+		return true;
+	});
+}
+
+/**
+ *
+ * @param {object} capture Parsed capture
+ */
+function listConnections(capture) {
+	const rows = capture.connections.map(connectionSummary).map(summary => [
+		summary.discriminator,
+		summary.title,
+		summary.pid,
+		summary.server,
+		summary.packets,
+		summary.dataPackets,
+		summary.sessions,
+		summary.state
+	]);
+
+	console.log(formatTable(['Connection', 'Title', 'PID', 'Server', 'Packets', 'DATA', 'Sessions', 'State'], rows));
+
+	for (const connection of capture.connections) {
+		for (const warning of connection.warnings) {
+			console.error(`Warning: ${connection.discriminator}: ${warning}`);
+		}
+	}
+}
+
+/**
+ *
+ * @param {object} capture Parsed capture
+ */
+function listDiscarded(capture) {
+	const rows = capture.discarded.map(datagram => [
+		datagram.relativeTime.toFixed(6),
+		datagram.source ?? '-', // * Frames which did not get as far as the UDP header
+		datagram.destination ?? '-',
+		datagram.size,
+		datagram.reasons.join('; ')
+	]);
+
+	console.log(formatTable(['Time', 'Source', 'Destination', 'Size', 'Reasons'], rows));
+}
+
+/**
+ *
+ * @param {object} capture Parsed capture
+ * @param {object} options Parsed command line options
+ */
+function listPackets(capture, options) {
+	const rows = filterPackets(capture.packets, options).map(({ index, serialized }) => [
+		index,
+		serialized.rawRMC ? '' : serialized.relativeTime.toFixed(6),
+		serialized.rawRMC ? '' : serialized.sourceAddress,
+		serialized.rawRMC ? '' : serialized.destinationAddress,
+		serialized.rawRMC ? 'Raw RMC' : `v${serialized.version}`,
+		packetInfo(serialized)
+	]);
+
+	console.log(formatTable(['#', 'Time', 'Source', 'Destination', 'Version', 'Info'], rows));
+}
+
+/**
+ *
+ * @param {object} capture Parsed capture
+ * @param {string} index Index of the packet, as printed by `packets`
+ */
+function showPacket(capture, index) {
+	const packet = capture.packets[Number(index)];
+
+	if (index === undefined || !packet) {
+		throw new Error(`No packet at index ${index}. The capture has ${capture.packets.length} packets`);
+	}
+
+	console.log(JSON.stringify(packet, null, 2));
+}
+
+/**
+ *
+ * @param {object} capture Parsed capture
+ * @param {object} options Parsed command line options
+ */
+function exportCapture(capture, options) {
+	const format = options.format || 'json';
+	const packets = filterPackets(capture.packets, options).map(({ serialized }) => serialized);
+	let output;
+
+	if (format === 'json') {
+		output = JSON.stringify({
+			connections: capture.connections,
+			packets
+		}, null, 2) + '\n';
+	} else if (format === 'jsonl') {
+		output = packets.map(packet => JSON.stringify(packet) + '\n').join('');
+	} else {
+		throw new Error(`Unknown export format ${format}. Expected json or jsonl`);
+	}
+
+	if (options.output) {
+		fs.writeFileSync(options.output, output);
+	} else {
+		process.stdout.write(output);
+	}
+}
+
+/**
+ *
+ * @param {Array<string>} argv Command line arguments, without the node and script paths
+ */
+async function main(argv) {
+	const { command, positionals, options } = parseArguments(argv);
+
+	if (options.help || !command) {
+		console.log(USAGE);
+		return;
+	}
+
+	switch (command) {
+	case 'connections':
+		listConnections(await parseCapture(positionals, options));
+		break;
+	case 'packets':
+		listPackets(await parseCapture(positionals, options), options);
+		break;
+	case 'show':
+		if (positionals.length < 2) {
+			throw new Error('Missing capture path or packet index');
+		}
+
+		showPacket(await parseCapture(positionals.slice(0, -1), options), positionals[positionals.length - 1]);
+		break;
+	case 'export':
+		exportCapture(await parseCapture(positionals, options), options);
+		break;
+	case 'derive-keys':
+		deriveKeys(positionals[0]);
+		break;
+	case 'encrypt-keys':
+		await encryptKeys(positionals[0], positionals[1]);
+		break;
+	case 'discarded':
+		listDiscarded(await parseCapture(positionals, options));
+		break;
+	case 'tui':
+		if (positionals.includes('-')) {
+			throw new Error('The terminal UI reads keys from stdin, so the capture cannot be read from stdin');
+		}
+
+		await new TerminalUI(await parseCapture(positionals, options), {
+			hidePing: options.hidePing
+		}).start();
+		break;
+	default:
+		throw new Error(`Unknown command ${command}\n\n${USAGE}`);
+	}
+}
+
+/**
+ *
+ * @returns {boolean} True if OpenSSL provides RC4, which NEX encrypts packets with
+ */
+function rc4Supported() {
+	try {
+		crypto.createDecipheriv('rc4', 'CD&ML', '');
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Runs the command again with OpenSSL's legacy provider enabled, which
+ * has RC4 on Node 17 and later, and exits with the status of that run
+ */
+function rerunWithLegacyProvider() {
+	if (process.execArgv.includes('--openssl-legacy-provider')) {
+		console.error('RC4 is not available even with --openssl-legacy-provider. The OpenSSL Node.js was built with does not provide it');
+		process.exit(1);
+	}
+
+	const result = spawnSync(process.execPath, ['--openssl-legacy-provider', ...process.execArgv, __filename, ...process.argv.slice(2)], {
+		stdio: 'inherit'
+	});
+
+	if (result.error) {
+		console.error(`Failed to run nex-viewer with --openssl-legacy-provider: ${result.error.message}`);
+		process.exit(1);
+	}
+
+	if (result.signal) {
+		process.kill(process.pid, result.signal);
+	}
+
+	process.exit(result.status);
+}
+
+if (!rc4Supported()) {
+	rerunWithLegacyProvider();
+} else {
+	main(process.argv.slice(2)).catch(error => {
+		console.error(error.message);
+		process.exitCode = 1;
+	});
+}
@@ -0,0 +1,614 @@
+const readline = require('readline');
+const { packetInfo, connectionSummary } = require('./format');
+const { packetDetailsTree } = require('./details');
+
+const ESCAPE = '\x1b[';
+const ENTER_ALTERNATE_SCREEN = `${ESCAPE}?1049h${ESCAPE}?25l`;
+const EXIT_ALTERNATE_SCREEN = `${ESCAPE}?25h${ESCAPE}?1049l`;
+const CURSOR_HOME = `${ESCAPE}H`;
+const CLEAR_LINE = `${ESCAPE}K`;
+const INVERSE = `${ESCAPE}7m`;
+const BOLD = `${ESCAPE}1m`;
+const RED = `${ESCAPE}31m`;
+const RESET = `${ESCAPE}0m`;
+
+const PANES = ['connections', 'packets', 'details'];
+
+const HELP = 'Tab pane  ↑↓ move  Enter select/expand  ←→ collapse/expand  / search  n/N next/prev  p toggle PING  q quit';
+
+/**
+ * @typedef {object} PacketEntry
+ * @property {number} index Index of the packet in the capture
+ * @property {string} discriminator Discriminator of the connection the packet belongs to
+ * @property {object} serialized Packet as returned by `Packet.toJSON`
+ * @property {string} info Packet summary
+ */
+
+/**
+ * Full screen terminal browser with the same three panes as the app:
+ * connections, packets and the decoded packet details
+ */
+class TerminalUI {
+	/**
+	 *
+	 * @param {object} capture Parsed capture
+	 * @param {Array<object>} capture.connections NEX connections
+	 * @param {Array<object>} capture.packets Packets emitted by the parser
+	 * @param {object} [options] UI options
+	 * @param {boolean} [options.hidePing] Start with PING packets hidden
+	 * @param {object} [options.input] Terminal to read keys from
+	 * @param {object} [options.output] Terminal to draw to
+	 */
+	constructor(capture, options = {}) {
+		this.input = options.input || process.stdin;
+		this.output = options.output || process.stdout;
+
+		this.connections = capture.connections.map(connection => {
+			const summary = connectionSummary(connection);
+
+			return {
+				discriminator: summary.discriminator,
+				label: `${summary.discriminator} ${summary.title} (${summary.server}) ${summary.packets} packets`
+			};
+		});
+
+		/** @type {Array<PacketEntry>} */
+		this.packets = capture.packets.map((packet, index) => {
+			const serialized = JSON.parse(JSON.stringify(packet));
+
+			return {
+				index,
+				discriminator: packet.connection.discriminator,
+				serialized,
+				info: packetInfo(serialized)
+			};
+		});
+
+		this.hidePing = !!options.hidePing;
+		this.selectedConnection = null;
+		this.focus = 0;
+
+		this.cursors = {
+			connections: 0,
+			packets: 0,
+			details: 0
+		};
+
+		this.scrolls = {
+			connections: 0,
+			packets: 0,
+			details: 0
+		};
+
+		this.visiblePackets = [];
+		this.detailsRoot = null;
+		this.detailsPacket = null;
+		this.detailsLines = [];
+
+		this.searchQuery = '';
+		this.searchInput = null;
+		this.status = '';
+
+		this.onKeypress = this.onKeypress.bind(this);
+		this.render = this.render.bind(this);
+	}
+
+	/**
+	 * Takes over the terminal until the user quits
+	 *
+	 * @returns {Promise<void>} Resolves once the UI is closed
+	 */
+	start() {
+		if (!this.input.isTTY || !this.output.isTTY) {
+			return Promise.reject(new Error('The terminal UI needs an interactive terminal'));
+		}
+
+		return new Promise(resolve => {
+			this.resolve = resolve;
+
+			readline.emitKeypressEvents(this.input);
+			this.input.setRawMode(true);
+			this.input.resume();
+			this.input.on('keypress', this.onKeypress);
+			this.output.on('resize', this.render);
+			this.output.write(ENTER_ALTERNATE_SCREEN);
+
+			this.updateVisiblePackets();
+			this.render();
+		});
+	}
+
+	/**
+	 * Restores the terminal
+	 */
+	stop() {
+		this.input.off('keypress', this.onKeypress);
+		this.output.off('resize', this.render);
+		this.input.setRawMode(false);
+		this.input.pause();
+		this.output.write(EXIT_ALTERNATE_SCREEN);
+
+		this.resolve();
+	}
+
+	/**
+	 * Applies the connection and PING filters to the packet list,
+	 * keeping the selected packet selected if it is still shown
+	 */
+	updateVisiblePackets() {
+		const selected = this.visiblePackets[this.cursors.packets];
+
+		this.visiblePackets = this.packets.filter(entry => {
+			if (this.selectedConnection && entry.discriminator !== this.selectedConnection) {
+				return false;
+			}
+
+			if (this.hidePing && entry.serialized.type === 'PING') {
+				return false;
+			}
+
+			return true;
+		});
+
+		const index = this.visiblePackets.indexOf(selected);
+
+		this.cursors.packets = index === -1 ? 0 : index;
+		this.updateDetails();
+	}
+
+	/**
+	 * Rebuilds the details tree for the selected packet
+	 */
+	updateDetails() {
+		const entry = this.visiblePackets[this.cursors.packets];
+
+		if (entry === this.detailsPacket) {
+			return;
+		}
+
+		this.detailsPacket = entry;
+		this.detailsRoot = entry ? packetDetailsTree(entry.serialized) : null;
+		this.cursors.details = 0;
+		this.scrolls.details = 0;
+		this.updateDetailsLines();
+	}
+
+	/**
+	 * Flattens the expanded nodes of the details tree into lines
+	 */
+	updateDetailsLines() {
+		this.detailsLines = [];
+
+		if (!this.detailsRoot) {
+			return;
+		}
+
+		const walk = (node, depth, parent) => {
+			this.detailsLines.push({ node, depth, parent });
+
+			if (node.children && node.open) {
+				for (const child of node.children) {
+					walk(child, depth + 1, node);
+				}
+			}
+		};
+
+		walk(this.detailsRoot, 0, null);
+
+		this.cursors.details = Math.min(this.cursors.details, this.detailsLines.length - 1);
+	}
+
+	/**
+	 *
+	 * @param {string} pane Pane name
+	 * @returns {number} Number of rows in the pane
+	 */
+	paneLength(pane) {
+		switch (pane) {
+		case 'connections':
+			return this.connections.length;
+		case 'packets':
+			return this.visiblePackets.length;
+		default:
+			return this.detailsLines.length;
+		}
+	}
+
+	/**
+	 *
+	 * @param {string} pane Pane name
+	 * @param {number} row Row to move the cursor to. Clamped to the pane
+	 */
+	moveCursor(pane, row) {
+		const length = this.paneLength(pane);
+
+		this.cursors[pane] = Math.max(0, Math.min(row, length - 1));
+
+		if (pane === 'packets') {
+			this.updateDetails();
+		}
+	}
+
+	/**
+	 *
+	 * @param {string} _ Character typed, if any
+	 * @param {object} key Key information from readline
+	 */
+	onKeypress(_, key = {}) {
+		if (key.ctrl && key.name === 'c') {
+			this.stop();
+			return;
+		}
+
+		if (this.searchInput !== null) {
+			this.onSearchKeypress(_, key);
+			this.render();
+			return;
+		}
+
+		const pane = PANES[this.focus];
+		const pageSize = Math.max(1, this.layout()[pane].height - 1);
+
+		this.status = '';
+
+		switch (key.name) {
+		case 'q':
+			this.stop();
+			return;
+		case 'tab':
+			this.focus = (this.focus + (key.shift ? PANES.length - 1 : 1)) % PANES.length;
+			break;
+		case 'up':
+		case 'k':
+			this.moveCursor(pane, this.cursors[pane] - 1);
+			break;
+		case 'down':
+		case 'j':
+			this.moveCursor(pane, this.cursors[pane] + 1);
+			break;
+		case 'pageup':
+			this.moveCursor(pane, this.cursors[pane] - pageSize);
+			break;
+		case 'pagedown':
+			this.moveCursor(pane, this.cursors[pane] + pageSize);
+			break;
+		case 'home':
+			this.moveCursor(pane, 0);
+			break;
+		case 'end':
+			this.moveCursor(pane, this.paneLength(pane) - 1);
+			break;
+		case 'return':
+		case 'space':
+			this.select(pane);
+			break;
+		case 'right':
+		case 'l':
+			this.setExpanded(true);
+			break;
+		case 'left':
+		case 'h':
+			this.setExpanded(false);
+			break;
+		case 'p':
+			this.hidePing = !this.hidePing;
+			this.updateVisiblePackets();
+			this.status = this.hidePing ? 'PING packets hidden' : 'PING packets shown';
+			break;
+		case 'n':
+			this.search(key.shift ? -1 : 1);
+			break;
+		default:
+			if (_ === '/') {
+				this.searchInput = '';
+			}
+		}
+
+		this.render();
+	}
+
+	/**
+	 *
+	 * @param {string} character Character typed, if any
+	 * @param {object} key Key information from readline
+	 */
+	onSearchKeypress(character, key) {
+		if (key.name === 'escape') {
+			this.searchInput = null;
+		} else if (key.name === 'return') {
+			this.searchQuery = this.searchInput;
+			this.searchInput = null;
+			this.search(1, true);
+		} else if (key.name === 'backspace') {
+			this.searchInput = this.searchInput.slice(0, -1);
+		} else if (character && !key.ctrl && !key.meta && character >= ' ') {
+			this.searchInput += character;
+		}
+	}
+
+	/**
+	 * Toggles a connection filter or details node, or jumps from a packet to its details
+	 *
+	 * @param {string} pane Pane name
+	 */
+	select(pane) {
+		if (pane === 'connections') {
+			const connection = this.connections[this.cursors.connections];
+
+			if (!connection) {
+				return;
+			}
+
+			// * Selecting the filtered connection again removes the filter, like the app
+			this.selectedConnection = this.selectedConnection === connection.discriminator ? null : connection.discriminator;
+			this.updateVisiblePackets();
+		} else if (pane === 'packets') {
+			this.focus = PANES.indexOf('details');
+		} else {
+			const line = this.detailsLines[this.cursors.details];
+
+			if (line?.node.children) {
+				line.node.open = !line.node.open;
+				this.updateDetailsLines();
+			}
+		}
+	}
+
+	/**
+	 * Expands or collapses the selected details node. Collapsing
+	 * a node which is already closed moves to its parent instead
+	 *
+	 * @param {boolean} open Expand the node
+	 */
+	setExpanded(open) {
+		if (PANES[this.focus] !== 'details') {
+			return;
+		}
+
+		const line = this.detailsLines[this.cursors.details];
+
+		if (!line) {
+			return;
+		}
+
+		if (line.node.children && line.node.open !== open) {
+			line.node.open = open;
+			this.updateDetailsLines();
+		} else if (!open && line.parent) {
+			this.cursors.details = this.detailsLines.findIndex(({ node }) => node === line.parent);
+		}
+	}
+
+	/**
+	 * Moves the cursor of the focused pane to the next row matching the search query.
+	 * Searching the details pane also looks inside collapsed nodes
+	 *
+	 * @param {number} direction 1 to search forwards, -1 to search backwards
+	 * @param {boolean} [includeCurrent] Whether the current row can match
+	 */
+	search(direction, includeCurrent = false) {
+		if (!this.searchQuery) {
+			return;
+		}
+
+		const query = this.searchQuery.toLowerCase();
+		const pane = PANES[this.focus];
+		let rows;
+
+		if (pane === 'connections') {
+			rows = this.connections.map(connection => connection.label);
+		} else if (pane === 'packets') {
+			rows = this.visiblePackets.map(entry => `${entry.info} ${JSON.stringify(entry.serialized)}`);
+		} else {
+			this.searchDetails(query, direction, includeCurrent);
+			return;
+		}
+
+		const start = this.cursors[pane];
+
+		for (let offset = includeCurrent ? 0 : 1; offset <= rows.length; offset++) {
+			const row = (start + (offset * direction) + rows.length) % rows.length;
+
+			if (rows[row].toLowerCase().includes(query)) {
+				this.moveCursor(pane, row);
+				return;
+			}
+		}
+
+		this.status = `No matches for "${this.searchQuery}"`;
+	}
+
+	/**
+	 *
+	 * @param {string} query Lowercase search query
+	 * @param {number} direction 1 to search forwards, -1 to search backwards
+	 * @param {boolean} includeCurrent Whether the current node can match
+	 */
+	searchDetails(query, direction, includeCurrent) {
+		if (!this.detailsRoot) {
+			return;
+		}
+
+		// * Every node in display order, along with the nodes it is nested in
+		const nodes = [];
+
+		const walk = (node, ancestors) => {
+			nodes.push({ node, ancestors });
+
+			for (const child of node.children || []) {
+				walk(child, [...ancestors, node]);
+			}
+		};
+
+		walk(this.detailsRoot, []);
+
+		const current = this.detailsLines[this.cursors.details]?.node;
+		const start = Math.max(0, nodes.findIndex(({ node }) => node === current));
+
+		for (let offset = includeCurrent ? 0 : 1; offset <= nodes.length; offset++) {
+			const { node, ancestors } = nodes[(start + (offset * direction) + nodes.length) % nodes.length];
+
+			if (node.label.toLowerCase().includes(query)) {
+				for (const ancestor of ancestors) {
+					ancestor.open = true;
+				}
+
+				this.updateDetailsLines();
+				this.cursors.details = this.detailsLines.findIndex(line => line.node === node);
+				return;
+			}
+		}
+
+		this.status = `No matches for "${this.searchQuery}"`;
+	}
+
+	/**
+	 *
+	 * @returns {object} Height of each pane, including its title line
+	 */
+	layout() {
+		const rows = this.output.rows || 24;
+		const available = Math.max(rows - 2, 6); // * Header and footer lines
+		const connections = Math.max(2, Math.min(this.connections.length + 1, Math.floor(available / 4)));
+		const packets = Math.max(2, Math.floor((available - connections) / 2));
+
+		return {
+			connections: { height: connections },
+			packets: { height: packets },
+			details: { height: available - connections - packets }
+		};
+	}
+
+	/**
+	 * Draws the whole screen
+	 */
+	render() {
+		const width = this.output.columns || 80;
+		const layout = this.layout();
+		const lines = [];
+
+		let header = ` NEX Viewer  ${this.packets.length} packets`;
+
+		if (this.selectedConnection) {
+			header += `  connection ${this.selectedConnection}`;
+		}
+
+		if (this.hidePing) {
+			header += '  PING hidden';
+		}
+
+		lines.push(BOLD + fit(header, width) + RESET);
+
+		this.renderPane(lines, 'connections', 'Connections', layout.connections.height, width, (connection, row) => {
+			const marker = connection.discriminator === this.selectedConnection ? '*' : ' ';
+
+			return {
+				text: `${marker} ${connection.label}`,
+				selected: row === this.cursors.connections
+			};
+		});
+
+		this.renderPane(lines, 'packets', 'Packets', layout.packets.height, width, (entry, row) => {
+			const { serialized } = entry;
+			const columns = [
+				String(entry.index).padStart(6),
+				(serialized.rawRMC ? '' : serialized.relativeTime.toFixed(6)).padStart(12),
+				(serialized.rawRMC ? '' : serialized.sourceAddress).padEnd(21),
+				(serialized.rawRMC ? '' : serialized.destinationAddress).padEnd(21),
+				(serialized.rawRMC ? 'Raw RMC' : `v${serialized.version}`).padEnd(7),
+				entry.info
+			];
+
+			return {
+				text: columns.join(' '),
+				selected: row === this.cursors.packets,
+				error: !!serialized.stackTrace || !!serialized.invalidChecksum
+			};
+		});
+
+		this.renderPane(lines, 'details', 'Details', layout.details.height, width, (line, row) => {
+			let marker = ' ';
+
+			if (line.node.children) {
+				marker = line.node.open ? '▾' : '▸';
+			}
+
+			return {
+				text: `${'  '.repeat(line.depth)}${marker} ${line.node.label}`,
+				selected: row === this.cursors.details
+			};
+		});
+
+		if (this.searchInput !== null) {
+			lines.push(fit(`/${this.searchInput}`, width));
+		} else {
+			lines.push(fit(this.status || HELP, width));
+		}
+
+		this.output.write(CURSOR_HOME + lines.map(line => line + CLEAR_LINE).join('\r\n'));
+	}
+
+	/**
+	 *
+	 * @param {Array<string>} lines Screen lines to append to
+	 * @param {string} pane Pane name
+	 * @param {string} title Pane title
+	 * @param {number} height Pane height, including the title line
+	 * @param {number} width Screen width
+	 * @param {Function} formatRow Formats a pane item into `{ text, selected, error }`
+	 */
+	renderPane(lines, pane, title, height, width, formatRow) {
+		const focused = PANES[this.focus] === pane;
+		const items = pane === 'connections' ? this.connections : pane === 'packets' ? this.visiblePackets : this.detailsLines;
+		const rows = height - 1;
+
+		// * Keep the cursor on screen
+		if (this.cursors[pane] < this.scrolls[pane]) {
+			this.scrolls[pane] = this.cursors[pane];
+		} else if (this.cursors[pane] >= this.scrolls[pane] + rows) {
+			this.scrolls[pane] = this.cursors[pane] - rows + 1;
+		}
+
+		this.scrolls[pane] = Math.max(0, Math.min(this.scrolls[pane], items.length - rows));
+
+		const position = items.length ? ` ${this.cursors[pane] + 1}/${items.length} ` : ' ';
+		const titleLine = fit(`── ${title}${position}`.padEnd(width, '─'), width);
+
+		lines.push(focused ? INVERSE + titleLine + RESET : titleLine);
+
+		for (let i = 0; i < rows; i++) {
+			const row = this.scrolls[pane] + i;
+			const item = items[row];
+
+			if (!item) {
+				lines.push('');
+				continue;
+			}
+
+			const { text, selected, error } = formatRow(item, row);
+			let line = fit(text, width);
+
+			if (error) {
+				line = RED + line + RESET;
+			}
+
+			if (selected) {
+				line = (focused ? INVERSE : BOLD) + fit(text, width).padEnd(width) + RESET;
+			}
+
+			lines.push(line);
+		}
+	}
+}
+
+/**
+ *
+ * @param {string} text Text to fit on one line
+ * @param {number} width Screen width
+ * @returns {string} Text cut to the screen width, without newlines
+ */
+function fit(text, width) {
+	return text.replace(/[\r\n\t]/g, ' ').slice(0, width);
+}
+
+module.exports = TerminalUI;
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+
+/**
+ *
+ * @param {(string|Buffer|Readable)} input Path to a PCAP(NG) capture file, the capture data, or a stream of it
+ * @returns {Readable} Stream of the raw capture data
+ */
+function openCapture(input) {
+	if (typeof input === 'string') {
+		return fs.createReadStream(input);
+	}
+
+	if (Buffer.isBuffer(input)) {
+		return Readable.from([input]);
+	}
+
+	if (input && typeof input.pipe === 'function') {
+		return input;
+	}
+
+	throw new TypeError('Capture input must be a file path, a Buffer or a Readable stream');
+}
+
+module.exports = {
+	openCapture
+};
@@ -0,0 +1,439 @@
+const { Transform } = require('stream');
+
+// * pcap magics, read as big endian. Which one matches tells us both
+// * the byte order of the file and the timestamp resolution
+const PCAP_MAGICS = {
+	0xA1B2C3D4: { endianness: 'BE', resolution: 1000000n },
+	0xD4C3B2A1: { endianness: 'LE', resolution: 1000000n },
+	0xA1B23C4D: { endianness: 'BE', resolution: 1000000000n },
+	0x4D3CB2A1: { endianness: 'LE', resolution: 1000000000n }
+};
+
+const PCAP_GLOBAL_HEADER_LENGTH = 0x18;
+const PCAP_RECORD_HEADER_LENGTH = 0x10;
+
+// * Largest snap length libpcap writes. Records longer than this and the
+// * file's own snap length can only come from a corrupt record header
+const PCAP_MAXIMUM_SNAP_LENGTH = 0x40000;
+
+const PCAPNG_BLOCK_TYPES = {
+	SECTION_HEADER:        0x0A0D0D0A,
+	INTERFACE_DESCRIPTION: 0x00000001,
+	PACKET:                0x00000002, // * Obsolete, but still written by some tools
+	SIMPLE_PACKET:         0x00000003,
+	ENHANCED_PACKET:       0x00000006
+};
+
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+const PCAPNG_BYTE_ORDER_MAGIC_SWAPPED = 0x4D3C2B1A;
+
+const PCAPNG_OPTION_END = 0;
+const PCAPNG_OPTION_IF_NAME = 2;
+const PCAPNG_OPTION_IF_TSRESOL = 9;
+const PCAPNG_OPTION_IF_TSOFFSET = 14;
+
+// * pcapng timestamps default to microseconds when if_tsresol is not set
+const PCAPNG_DEFAULT_RESOLUTION = 1000000n;
+
+const NANOSECONDS_PER_SECOND = 1000000000n;
+
+/**
+ * Stream which takes raw pcap or pcapng data and outputs captured packets.
+ * The format is detected from the magic number at the start of the data,
+ * so any source works. Emits an `interface` event for each capture interface,
+ * and a `truncated` event if the data ends partway through a record
+ */
+class CaptureParser extends Transform {
+	constructor() {
+		super({
+			readableObjectMode: true
+		});
+
+		this.format = null; // * 'pcap' or 'pcapng', once detected
+		this.endianness = 'LE';
+		this.buffer = Buffer.alloc(0);
+		this.interfaces = [];
+		this.lastTimestamp = 0n; // * Nanosecond timestamp of the latest packet
+	}
+
+	_transform(chunk, encoding, callback) {
+		this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+		try {
+			this.processBuffer();
+		} catch (error) {
+			callback(error);
+			return;
+		}
+
+		callback();
+	}
+
+	_flush(callback) {
+		if (this.buffer.length !== 0 && !this.format) {
+			callback(new Error(`Capture is only ${this.buffer.length} bytes, too short for a pcap or pcapng header`));
+			return;
+		}
+
+		if (this.buffer.length !== 0) {
+			// * A record cut off at the end of the capture, such as when the
+			// * capture was stopped mid-write. Nothing to decode, but say so
+			this.emit('truncated', {
+				timestamp: this.lastTimestamp,
+				data: this.buffer
+			});
+		}
+
+		this.buffer = Buffer.alloc(0);
+		callback();
+	}
+
+	/**
+	 * Decodes as many complete records from the buffer as possible
+	 */
+	processBuffer() {
+		let offset = 0;
+
+		if (!this.format) {
+			if (!this.detectFormat()) {
+				// * Not enough data to detect the format yet
+				return;
+			}
+
+			if (this.format === 'pcap') {
+				offset = PCAP_GLOBAL_HEADER_LENGTH;
+			}
+		}
+
+		let read;
+
+		do {
+			read = this.format === 'pcapng' ? this.readBlock(offset) : this.readRecord(offset);
+			offset += read;
+		} while (read !== 0);
+
+		this.buffer = this.buffer.subarray(offset);
+	}
+
+	/**
+	 * Detects the capture format from the magic number. For pcap
+	 * files this also reads the global header
+	 *
+	 * @returns {boolean} True if detected, false if there is not enough data yet
+	 */
+	detectFormat() {
+		if (this.buffer.length < 0x4) {
+			return false;
+		}
+
+		const magic = this.buffer.readUInt32BE(0);
+
+		if (magic === PCAPNG_BLOCK_TYPES.SECTION_HEADER) {
+			// * The Section Header Block is read like any other block
+			this.format = 'pcapng';
+			return true;
+		}
+
+		const pcapMagic = PCAP_MAGICS[magic];
+
+		if (!pcapMagic) {
+			throw new Error(`Unknown capture file format. Got magic 0x${magic.toString(16).padStart(8, '0')}, expected a pcap or pcapng file`);
+		}
+
+		if (this.buffer.length < PCAP_GLOBAL_HEADER_LENGTH) {
+			return false;
+		}
+
+		this.format = 'pcap';
+		this.endianness = pcapMagic.endianness;
+
+		const captureInterface = {
+			id: 0,
+			linkType: this.readUInt32(20) & 0xFFFF, // * Upper bits hold FCS information
+			snapLength: this.readUInt32(16),
+			resolution: pcapMagic.resolution,
+			offset: BigInt(this.buffer[`readInt32${this.endianness}`](8)) // * thiszone, almost always 0
+		};
+
+		this.addInterface(captureInterface);
+
+		return true;
+	}
+
+	/**
+	 *
+	 * @param {number} offset Offset of the record in the buffer
+	 * @returns {number} Bytes read, or 0 if the record is not complete yet
+	 */
+	readRecord(offset) {
+		if (this.buffer.length - offset < PCAP_RECORD_HEADER_LENGTH) {
+			return 0;
+		}
+
+		const seconds = this.readUInt32(offset);
+		const fraction = this.readUInt32(offset + 4);
+		const capturedLength = this.readUInt32(offset + 8);
+		const originalLength = this.readUInt32(offset + 12);
+		const length = PCAP_RECORD_HEADER_LENGTH + capturedLength;
+		const captureInterface = this.interfaces[0];
+
+		if (capturedLength > Math.max(captureInterface.snapLength, PCAP_MAXIMUM_SNAP_LENGTH)) {
+			// * Waiting for the rest of the record would buffer the rest of the file
+			throw new Error(`Invalid pcap record captured length ${capturedLength}, the snap length is ${captureInterface.snapLength}`);
+		}
+
+		if (this.buffer.length - offset < length) {
+			return 0;
+		}
+
+		this.pushPacket(captureInterface, BigInt(seconds) * captureInterface.resolution + BigInt(fraction), {
+			originalLength,
+			data: this.buffer.subarray(offset + PCAP_RECORD_HEADER_LENGTH, offset + length)
+		});
+
+		return length;
+	}
+
+	/**
+	 *
+	 * @param {number} offset Offset of the block in the buffer
+	 * @returns {number} Bytes read, or 0 if the block is not complete yet
+	 */
+	readBlock(offset) {
+		if (this.buffer.length - offset < 0xC) {
+			return 0;
+		}
+
+		// * The Section Header Block type reads the same in either byte order
+		if (this.buffer.readUInt32BE(offset) === PCAPNG_BLOCK_TYPES.SECTION_HEADER) {
+			// * Each section may have a different byte order
+			const byteOrderMagic = this.buffer.readUInt32BE(offset + 8);
+
+			if (byteOrderMagic === PCAPNG_BYTE_ORDER_MAGIC) {
+				this.endianness = 'BE';
+			} else if (byteOrderMagic === PCAPNG_BYTE_ORDER_MAGIC_SWAPPED) {
+				this.endianness = 'LE';
+			} else {
+				throw new Error(`Invalid pcapng byte order magic 0x${byteOrderMagic.toString(16)}`);
+			}
+		}
+
+		const type = this.readUInt32(offset);
+		const length = this.readUInt32(offset + 4);
+
+		if (length < 0xC || length % 4 !== 0) {
+			throw new Error(`Invalid pcapng block length ${length} for block type 0x${type.toString(16)}`);
+		}
+
+		if (this.buffer.length - offset < length) {
+			return 0;
+		}
+
+		const body = this.buffer.subarray(offset + 8, offset + length - 4);
+
+		switch (type) {
+		case PCAPNG_BLOCK_TYPES.SECTION_HEADER:
+			// * Interface IDs are scoped to their section
+			this.interfaces = [];
+			break;
+		case PCAPNG_BLOCK_TYPES.INTERFACE_DESCRIPTION:
+			this.readInterfaceDescriptionBlock(body);
+			break;
+		case PCAPNG_BLOCK_TYPES.ENHANCED_PACKET:
+			this.readEnhancedPacketBlock(body);
+			break;
+		case PCAPNG_BLOCK_TYPES.SIMPLE_PACKET:
+			this.readSimplePacketBlock(body);
+			break;
+		case PCAPNG_BLOCK_TYPES.PACKET:
+			this.readPacketBlock(body);
+			break;
+		}
+
+		// * Every other block type is not needed and is skipped
+
+		return length;
+	}
+
+	/**
+	 *
+	 * @param {Buffer} body Block body
+	 */
+	readInterfaceDescriptionBlock(body) {
+		const captureInterface = {
+			id: this.interfaces.length,
+			linkType: this.readUInt16(0, body),
+			snapLength: this.readUInt32(4, body),
+			resolution: PCAPNG_DEFAULT_RESOLUTION,
+			offset: 0n
+		};
+
+		const options = this.readOptions(body.subarray(8));
+
+		if (options.has(PCAPNG_OPTION_IF_NAME)) {
+			captureInterface.name = options.get(PCAPNG_OPTION_IF_NAME).toString().replace(/\0/g, '');
+		}
+
+		if (options.has(PCAPNG_OPTION_IF_TSRESOL)) {
+			const tsresol = options.get(PCAPNG_OPTION_IF_TSRESOL).readUInt8();
+			const exponent = BigInt(tsresol & 0x7F);
+
+			// * The high bit selects a negative power of 2 instead of 10
+			if (tsresol & 0x80) {
+				captureInterface.resolution = 2n ** exponent;
+			} else {
+				captureInterface.resolution = 10n ** exponent;
+			}
+		}
+
+		if (options.has(PCAPNG_OPTION_IF_TSOFFSET)) {
+			// * Seconds to add to every timestamp on this interface
+			captureInterface.offset = options.get(PCAPNG_OPTION_IF_TSOFFSET)[`readBigInt64${this.endianness}`]();
+		}
+
+		this.addInterface(captureInterface);
+	}
+
+	/**
+	 *
+	 * @param {Buffer} body Block body
+	 */
+	readEnhancedPacketBlock(body) {
+		const interfaceId = this.readUInt32(0, body);
+		const timestampHigh = this.readUInt32(4, body);
+		const timestampLow = this.readUInt32(8, body);
+		const capturedLength = this.readUInt32(12, body);
+		const originalLength = this.readUInt32(16, body);
+
+		this.pushPacket(this.getInterface(interfaceId), BigInt(timestampHigh) << 32n | BigInt(timestampLow), {
+			originalLength,
+			data: body.subarray(20, 20 + capturedLength)
+		});
+	}
+
+	/**
+	 *
+	 * @param {Buffer} body Block body
+	 */
+	readSimplePacketBlock(body) {
+		const captureInterface = this.getInterface(0);
+		const originalLength = this.readUInt32(0, body);
+		const capturedLength = Math.min(originalLength, captureInterface.snapLength || originalLength);
+
+		// * Simple packets have no timestamp
+		this.pushPacket(captureInterface, 0n, {
+			originalLength,
+			data: body.subarray(4, 4 + capturedLength)
+		});
+	}
+
+	/**
+	 *
+	 * @param {Buffer} body Block body
+	 */
+	readPacketBlock(body) {
+		const interfaceId = this.readUInt16(0, body);
+		const timestampHigh = this.readUInt32(4, body);
+		const timestampLow = this.readUInt32(8, body);
+		const capturedLength = this.readUInt32(12, body);
+		const originalLength = this.readUInt32(16, body);
+
+		this.pushPacket(this.getInterface(interfaceId), BigInt(timestampHigh) << 32n | BigInt(timestampLow), {
+			originalLength,
+			data: body.subarray(20, 20 + capturedLength)
+		});
+	}
+
+	/**
+	 *
+	 * @param {Buffer} buffer Options section of a block
+	 * @returns {Map<number, Buffer>} Option values by option code
+	 */
+	readOptions(buffer) {
+		const options = new Map();
+		let offset = 0;
+
+		while (offset + 4 <= buffer.length) {
+			const code = this.readUInt16(offset, buffer);
+			const length = this.readUInt16(offset + 2, buffer);
+
+			if (code === PCAPNG_OPTION_END) {
+				break;
+			}
+
+			options.set(code, buffer.subarray(offset + 4, offset + 4 + length));
+
+			offset += 4 + length + ((4 - (length % 4)) % 4); // * Values are padded to 32 bits
+		}
+
+		return options;
+	}
+
+	/**
+	 *
+	 * @param {object} captureInterface Capture interface description
+	 */
+	addInterface(captureInterface) {
+		this.interfaces.push(captureInterface);
+		this.emit('interface', captureInterface);
+	}
+
+	/**
+	 *
+	 * @param {number} interfaceId Interface ID
+	 * @returns {object} Capture interface description
+	 */
+	getInterface(interfaceId) {
+		const captureInterface = this.interfaces[interfaceId];
+
+		if (!captureInterface) {
+			throw new Error(`Packet references unknown interface ${interfaceId}`);
+		}
+
+		return captureInterface;
+	}
+
+	/**
+	 *
+	 * @param {object} captureInterface Interface the packet was captured on
+	 * @param {bigint} timestamp Timestamp in units of the interface resolution
+	 * @param {object} packet Packet lengths and data
+	 */
+	pushPacket(captureInterface, timestamp, packet) {
+		// * Normalize every interface to nanoseconds since the epoch.
+		// * Resolutions finer than a nanosecond are truncated
+		const nanoseconds = (timestamp * NANOSECONDS_PER_SECOND / captureInterface.resolution) + (captureInterface.offset * NANOSECONDS_PER_SECOND);
+
+		this.lastTimestamp = nanoseconds;
+
+		this.push({
+			interfaceId: captureInterface.id,
+			linkType: captureInterface.linkType,
+			timestamp: nanoseconds,
+			originalLength: packet.originalLength,
+			data: Buffer.from(packet.data) // * Copy so the packet does not keep the whole read buffer alive
+		});
+	}
+
+	/**
+	 *
+	 * @param {number} offset Offset to read from
+	 * @param {Buffer} [buffer] Buffer to read from. Defaults to the read buffer
+	 * @returns {number} Read number
+	 */
+	readUInt16(offset, buffer = this.buffer) {
+		return buffer[`readUInt16${this.endianness}`](offset);
+	}
+
+	/**
+	 *
+	 * @param {number} offset Offset to read from
+	 * @param {Buffer} [buffer] Buffer to read from. Defaults to the read buffer
+	 * @returns {number} Read number
+	 */
+	readUInt32(offset, buffer = this.buffer) {
+		return buffer[`readUInt32${this.endianness}`](offset);
+	}
+}
+
+module.exports = CaptureParser;
@@ -1,11 +1,13 @@
 /**
  * @typedef {import('./packetv0')} PacketV0
  * @typedef {import('./packetv1')} PacketV1
+ * @typedef {import('./fragmentation_manager').FragmentedMessage} FragmentedMessage
+ * @typedef {import('./key_store')} KeyStore
+ * @typedef {import('./kerberos').KerberosTicket} KerberosTicket
  */
 
-const fs = require('fs');
-const os = require('os');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const titles = require('./titles.json');
 const Packet = require('./packet');
 const RMCMessage = require('./rmc');
@@ -14,70 +16,48 @@ const kerberos = require('./kerberos');
 const Authentication = require('./protocols/authentication');
 const Stream = require('./stream');
 const FragmentationManager = require('./fragmentation_manager');
-const { md5 } = require('./util');
-
-// * Find the NEX keys file path
-let NEX_KEYS_FILE_PATH;
-if (fs.existsSync(__dirname + '/../nex-keys.txt')) { // check if nex-keys is in the "src" folder
-	NEX_KEYS_FILE_PATH = __dirname + '/../nex-keys.txt';
-} else if (fs.existsSync(__dirname + '/../../nex-keys.txt')) { // check if nex-keys is in the root folder
-	NEX_KEYS_FILE_PATH = __dirname + '/../../nex-keys.txt';
-} else if (process.platform === 'win32') { // if neither exist then grab the keys from WireShark on Windows
-	NEX_KEYS_FILE_PATH = process.env.APPDATA + '/Wireshark/nex-keys.txt';
-} else { // default to assuming OSX/Linux
-	const home = os.homedir();
-	NEX_KEYS_FILE_PATH = `${home}/.config/wireshark/nex-keys.txt`;
-}
-
-if (!fs.existsSync(NEX_KEYS_FILE_PATH)) {
-	throw new Error('Could not locate nex-keys.txt file');
-}
+const Substream = require('./substream');
+const Session = require('./session');
+const { md5, compareSequenceIds } = require('./util');
 
-// * Parse out the NEX keys
-// * Format is one PID:KEY per line
-const NEX_KEYS_FILE = fs.readFileSync(NEX_KEYS_FILE_PATH, { encoding: 'utf-8' });
-const NEX_KEYS = Object.fromEntries(NEX_KEYS_FILE.split('\n').filter(line => line).map(combo => {
-	const parts = combo.split(':');
-	const pid = parts.shift();
-	const password = parts.join(':');
+// * Mixed into the session key to make the base key for unreliable PRUDPv1 packets
+const UNRELIABLE_KEY_PART_1 = Buffer.from('18d8233437e4e3fe', 'hex');
+const UNRELIABLE_KEY_PART_2 = Buffer.from('233e600123cdab80', 'hex');
 
-	return [pid, password];
-}));
-
-// * Derive Kerberos keys from passwords
-for (let pid in NEX_KEYS) {
-	const key = NEX_KEYS[pid];
-
-	if (key.length !== 32) {
-		NEX_KEYS[pid] = kerberos.deriveKerberosKey(Number(pid), key).toString('hex');
-	}
-}
+const DEFAULT_IDLE_TIMEOUT = 60; // * Seconds without packets before a session is considered timed out
 
-// * Write file back to disk
-let NEW_NEX_KEYS = '';
-for (let pid in NEX_KEYS) {
-	NEW_NEX_KEYS += `${pid}:${NEX_KEYS[pid]}\n`;
-}
-fs.writeFileSync(NEX_KEYS_FILE_PATH, NEW_NEX_KEYS);
+// * RMC messages split over several packets are never anywhere near this large.
+// * Used to tell a real first fragment from a wrongly decrypted one
+const MAXIMUM_FRAGMENTED_MESSAGE_SIZE = 0x100000;
 
 class Connection {
 	/**
 	 *
 	 * @param {string} discriminator Unique connection identifer
+	 * @param {object} [options] Connection options
+	 * @param {number} [options.reorderWindow] Reliable DATA packets to hold while waiting for a missing sequence ID
+	 * @param {number} [options.fragmentTimeout] Seconds to wait for the missing fragments of an RMC message
+	 * @param {number} [options.idleTimeout] Seconds without packets before a session is considered timed out
+	 * @param {boolean} [options.lenient] Keep packets with invalid checksums/signatures instead of throwing
+	 * @param {KeyStore} [options.keyStore] Kerberos keys of NEX accounts, for decrypting tickets
 	 */
-	constructor(discriminator) {
+	constructor(discriminator, options = {}) {
 		this.discriminator = discriminator;
+		this.options = options;
+		this.idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
 		this.packets = [];
+		this.missingPackets = []; // * Reliable DATA sequence IDs which never arrived
+		this.warnings = []; // * Problems which stop the connection from being fully decoded, such as missing keys
+
+		// * Every SYN from the client starts a new session. The session state is
+		// * used as part of the heuristics during packet parsing to know if a packet
+		// * is legitimate or not. For example if a CONNECT packet comes in before
+		// * the SYN packets, or if a DATA packet comes in before the CONNECT packets.
+		// * These packets will be marked as illegitimate
+		this.sessions = [];
+		this.session = null; // * Latest session
 
-		// * These are used as part of the heuristics during packet parsing
-		// * to know if a packet is legitimate or not.
-		// * For example if a CONNECT packet comes in before the SYN packets,
-		// * of if a DATA packet comes in before the CONNECT packets. These
-		// * packets will be marked as illegitimate
-		this.doneClientSyn = false;
-		this.doneServerSyn = false;
-		this.doneClientConnect = false;
-		this.doneServerConnect = false;
+		this.lastPacketTimestamp = null; // * Nanosecond capture timestamp of the latest packet, for delta times
 
 		this.reset();
 	}
@@ -86,27 +66,139 @@ class Connection {
 		return {
 			discriminator: this.discriminator,
 			title: this.title,
-			secure: this.isSecureServer
+			secure: this.isSecureServer,
+			state: this.session?.state ?? Session.STATES.CLOSED,
+			sessions: this.sessions,
+			warnings: this.warnings
 		};
 	}
 
+	/**
+	 *
+	 * @param {string} message Warning to show for the connection. Repeated warnings are only kept once
+	 */
+	warn(message) {
+		if (!this.warnings.includes(message)) {
+			this.warnings.push(message);
+		}
+	}
+
+	/**
+	 * Moves the session state machine along, starting a new session on client SYN packets
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet PRUDP packet, with its capture time set
+	 * @returns {boolean} False if the packet does not fit the session state, such as DATA before the CONNECT packets
+	 */
+	updateSession(packet) {
+		const { STATES, CLOSE_REASONS } = Session;
+		let session = this.session;
+
+		if (session?.isOpen() && packet.relativeTime - session.endTime > this.idleTimeout) {
+			// * A session which was disconnecting just never saw the reply
+			session.close(session.state === STATES.DISCONNECTING ? CLOSE_REASONS.DISCONNECT : CLOSE_REASONS.TIMEOUT);
+		}
+
+		if (packet.isSyn() && packet.isToServer()) {
+			// * Retransmitted SYN packets belong to the session they started
+			if (session?.state !== STATES.SYN_SENT) {
+				if (session?.isOpen()) {
+					session.close(CLOSE_REASONS.RECONNECT);
+				}
+
+				session = new Session(this.sessions.length, packet);
+
+				this.session = session;
+				this.sessions.push(session);
+			}
+
+			session.addPacket(packet);
+			return true;
+		}
+
+		if (packet.isSyn() || packet.isConnect() || packet.isData()) {
+			if (!session?.isOpen()) {
+				// * Not part of any session
+				return false;
+			}
+
+			if (packet.isSyn() && session.state === STATES.SYN_SENT) {
+				session.state = STATES.SYN_RECEIVED;
+			}
+
+			if (packet.isConnect()) {
+				if (session.state === STATES.SYN_SENT) {
+					// * CONNECT packet without completing the SYN sequence
+					return false;
+				}
+
+				if (packet.isToClient() && session.state === STATES.SYN_RECEIVED) {
+					// * CONNECT packet from the server without seeing one from the client yet
+					return false;
+				}
+
+				if (packet.isToServer() && session.state === STATES.SYN_RECEIVED) {
+					session.state = STATES.CONNECT_SENT;
+				}
+
+				if (packet.isToClient() && session.state === STATES.CONNECT_SENT) {
+					session.state = STATES.ESTABLISHED;
+				}
+			}
+
+			if (packet.isData() && session.state !== STATES.ESTABLISHED && session.state !== STATES.DISCONNECTING) {
+				// * DATA packet without completing the CONNECT sequence
+				return false;
+			}
+		}
+
+		if (packet.isDisconnect() && session) {
+			const sender = packet.isToServer() ? 'client' : 'server';
+
+			if (session.state === STATES.DISCONNECTING && session.disconnectedBy !== sender) {
+				// * Other side replied, nothing more is sent after this
+				session.close(CLOSE_REASONS.DISCONNECT);
+			} else if (session.isOpen() && session.state !== STATES.DISCONNECTING) {
+				session.state = STATES.DISCONNECTING;
+				session.disconnectedBy = sender;
+			}
+
+			// * DISCONNECT packets are sent several times, keep the copies with the session
+			session.addPacket(packet);
+			return true;
+		}
+
+		if (session?.isOpen()) {
+			session.addPacket(packet);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Closes the latest session if it is still open
+	 *
+	 * @param {string} reason One of `Session.CLOSE_REASONS`
+	 */
+	closeSession(reason) {
+		if (this.session?.isOpen()) {
+			this.session.close(this.session.state === Session.STATES.DISCONNECTING ? Session.CLOSE_REASONS.DISCONNECT : reason);
+		}
+	}
+
 	reset() {
 		this.prudpVersion = null;
 		this.accessKey = null;
 		this.accessKeySum = Buffer.alloc(4);
 		this.signatureKey = null;
 		this.sessionKey = Buffer.alloc(0);
-		this.currentFragmentedPayload = Buffer.alloc(0);
-		this.clientConnectionSignature = Buffer.alloc(0);
-		this.serverConnectionSignature = Buffer.alloc(0);
-		this.rc4CipherToClient = crypto.createDecipheriv('rc4', 'CD&ML', '');
-		this.rc4CipherToServer = crypto.createDecipheriv('rc4', 'CD&ML', '');
+		this.payloadCompression = null; // * Whether PRUDPv0 payloads start with a compression ratio byte. null until known
 
 		this.clientPID = null;
-		this.clientNEXPassword = null;
+		this.clientKerberosKey = null;
 		this.secureServerStationURL = null;
 		this.checkForSecureServer = false;
 		this.isSecureServer = false;
+		this.sessionKeySearched = false; // * Whether the supplied session keys were tried, see `useSuppliedSessionKey`
 
 		this.title = {
 			name: '',
@@ -120,13 +212,48 @@ class Connection {
 			nex_utility_version: '0.0.0'
 		};
 
-		this.clientFragmentationManager = new FragmentationManager();
-		this.serverFragmentationManager = new FragmentationManager();
-		this.decryptedClientPayloads = {};
-		this.decryptedServerPayloads = {};
-
 		this.clientAddress;
 		this.serverAddress;
+
+		this.resetSession();
+	}
+
+	/**
+	 * Drops the decode state of the previous session, keeping the keys.
+	 * The RC4 streams, sequence IDs and fragments all start over on a new session
+	 */
+	resetSession() {
+		this.prudpMinorVersion = null;
+		this.clientConnectionSignature = Buffer.alloc(0);
+		this.serverConnectionSignature = Buffer.alloc(0);
+		this.maximumSubstreamId = 0;
+		this.substreams = new Map();
+
+		// * Sequence ID of the first reliable DATA packet each side sends, worked out
+		// * from the handshake. null if the handshake was not captured
+		this.firstClientSequenceId = null;
+		this.firstServerSequenceId = null;
+
+		this.setRC4Key(this.isSecureServer ? this.sessionKey : 'CD&ML');
+
+		this.clientUnreliableFragmentationManager = new FragmentationManager({
+			timeout: this.options.fragmentTimeout
+		});
+		this.serverUnreliableFragmentationManager = new FragmentationManager({
+			timeout: this.options.fragmentTimeout
+		});
+
+		// * Reliable DATA packets waiting for an ACK, keyed by substream and sequence ID
+		this.unacknowledgedClientPackets = new Map();
+		this.unacknowledgedServerPackets = new Map();
+
+		// * First copy of each reliable DATA packet, keyed by substream and sequence ID
+		this.receivedClientPackets = new Map();
+		this.receivedServerPackets = new Map();
+
+		// * Retransmissions of packets still held for reordering, keyed by the first copy.
+		// * They are handed out once the first copy is decrypted
+		this.heldRetransmissions = new Map();
 	}
 
 	/**
@@ -134,8 +261,35 @@ class Connection {
 	 * @param {(string|Buffer)} key Crypto key
 	 */
 	setRC4Key(key) {
-		this.rc4CipherToClient = crypto.createDecipheriv('rc4', key, '');
-		this.rc4CipherToServer = crypto.createDecipheriv('rc4', key, '');
+		this.rc4Key = Buffer.from(key);
+
+		for (const substream of this.substreams.values()) {
+			substream.setRC4Key(key);
+		}
+
+		// * Unreliable packets get their own RC4 streams in PRUDPv0,
+		// * and a key derived per packet in PRUDPv1
+		this.unreliableRC4CipherToClient = crypto.createDecipheriv('rc4', key, '');
+		this.unreliableRC4CipherToServer = crypto.createDecipheriv('rc4', key, '');
+		this.unreliableKey = Buffer.concat([
+			md5(Buffer.concat([this.rc4Key, UNRELIABLE_KEY_PART_1])),
+			md5(Buffer.concat([this.rc4Key, UNRELIABLE_KEY_PART_2]))
+		]);
+	}
+
+	/**
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Unreliable PRUDPv1 DATA packet
+	 * @returns {Buffer} RC4 key for the packet
+	 */
+	unreliablePacketKey(packet) {
+		const key = Buffer.from(this.unreliableKey);
+
+		key[0] = (key[0] + packet.sequenceId) & 0xFF;
+		key[1] = (key[1] + (packet.sequenceId >> 8)) & 0xFF;
+		key[31] = (key[31] + packet.sessionId) & 0xFF;
+
+		return key;
 	}
 
 	/**
@@ -146,41 +300,170 @@ class Connection {
 		return this.accessKey === 'ridfebb9';
 	}
 
+	/**
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet ACK/MULTI_ACK packet
+	 * @returns {boolean} True if aggregate acks start with a substream ID and extra sequence ID count
+	 */
+	hasSubstreamAggregateAcks(packet) {
+		if (packet.version === 0) {
+			return false;
+		}
+
+		if (this.prudpMinorVersion !== null) {
+			return this.prudpMinorVersion >= 2;
+		}
+
+		// * Handshake was not captured, guess from the payload layout
+		return packet.payload.length >= 4 && packet.payload.length === 4 + (packet.payload[1] * 2);
+	}
+
+	/**
+	 * Links the reliable DATA packets sent in the other direction to the ACK/MULTI_ACK packet which covers them
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} ackPacket Decoded ACK/MULTI_ACK packet
+	 */
+	acknowledgePackets(ackPacket) {
+		const { substreamId, baseSequenceId, sequenceIds } = ackPacket.acknowledgement;
+		const unacknowledgedPackets = ackPacket.isToClient() ? this.unacknowledgedClientPackets : this.unacknowledgedServerPackets;
+
+		for (const [key, packet] of unacknowledgedPackets) {
+			if ((packet.substreamId ?? 0) !== substreamId) {
+				continue;
+			}
+
+			const inBase = baseSequenceId !== null && compareSequenceIds(packet.sequenceId, baseSequenceId) <= 0;
+
+			if (inBase || sequenceIds.includes(packet.sequenceId)) {
+				packet.acknowledgedBy = ackPacket;
+				ackPacket.acknowledgedPackets.push(packet);
+				unacknowledgedPackets.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Decrypts reliable DATA packets released by a reorder buffer
+	 *
+	 * @param {Array<(Packet|PacketV0|PacketV1)>} packets Reliable DATA packets in sequence order
+	 * @returns {Array<(Packet|PacketV0|PacketV1)>} The packets, each followed by any retransmissions seen while it was held
+	 */
+	releaseDataPackets(packets) {
+		const released = [];
+
+		for (const packet of packets) {
+			this.handleDataPacket(packet);
+
+			released.push(packet, ...(this.heldRetransmissions.get(packet) ?? []));
+			this.heldRetransmissions.delete(packet);
+		}
+
+		return released;
+	}
+
+	/**
+	 * Checks if a reliable DATA packet was already seen in the same direction
+	 * and substream, and if so marks it as a retransmission of the first copy
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Reliable DATA packet
+	 * @returns {boolean} True if the packet is a retransmission
+	 */
+	checkRetransmission(packet) {
+		const receivedPackets = packet.isToServer() ? this.receivedClientPackets : this.receivedServerPackets;
+		const substreamId = packet.substreamId ?? 0;
+		const original = receivedPackets.get(`${substreamId}:${packet.sequenceId}`);
+
+		if (original) {
+			original.retransmissionCount++;
+
+			// * Copies carry the same message. It is read through `retransmissionOf`,
+			// * as the first copy may still be waiting to be decrypted
+			packet.retransmissionOf = original;
+			packet.retransmissionCount = original.retransmissionCount;
+
+			return true;
+		}
+
+		receivedPackets.set(`${substreamId}:${packet.sequenceId}`, packet);
+
+		// * Forget packets half the sequence ID space ago, so the IDs can wrap around
+		receivedPackets.delete(`${substreamId}:${(packet.sequenceId + 0x8000) & 0xFFFF}`);
+
+		return false;
+	}
+
 	/**
 	 *
 	 * @param {(Packet|PacketV0|PacketV1)} packet PRUDP packet
+	 * @returns {Array<(Packet|PacketV0|PacketV1)>} Packets which finished being handled. Reliable DATA packets are held until earlier sequence IDs arrive
 	 */
 	handlePacket(packet) {
-		if (this.prudpVersion === undefined) {
-			this.prudpVersion = packet.version;
-		}
+		let handledPackets = [];
 
-		if (packet.isData() && !packet.hasFlagReliable()) {
-			// * Packet is an unreliable data packet
-			// * These packets use their own RC4 stream
-			// * and are not supported
+		if (packet.isSyn() && packet.isToServer()) {
+			// * Every client SYN starts a new session. Whatever the last session still
+			// * held back is handled with its keys before its decode state is dropped
+			handledPackets = this.flush();
 
-			this.packets.push(packet);
-			return;
+			if (this.isSecureServer) {
+				// * The secure server keeps the keys handed out by the authentication server
+				this.resetSession();
+			} else {
+				this.reset();
+			}
+		}
+
+		if (this.prudpVersion === undefined) {
+			this.prudpVersion = packet.version;
 		}
 
 		if (packet.hasFlagAck() || packet.hasFlagMultiAck()) {
 			if (packet.isSyn() && packet.isToClient()) {
 				// * SYN packet from server
 				this.serverConnectionSignature = packet.connectionSignature;
+
+				// * The server's reliable packets follow on from the SYN handshake. Its CONNECT
+				// * ACK only repeats the sequence ID of the client CONNECT, so says nothing about them
+				this.firstServerSequenceId = (packet.sequenceId + 1) & 0xFFFF;
 			}
 
-			// TODO - Parse these for their sequence IDs
+			if ((packet.isSyn() || packet.isConnect()) && packet.isToClient() && packet.prudpProtocolMinorVersion !== undefined) {
+				// * The server replies with the negotiated PRUDPv1 minor version
+				this.prudpMinorVersion = packet.prudpProtocolMinorVersion;
+			}
+
+			if (packet.isConnect() && packet.isToClient() && packet.maximumSubstreamId !== undefined) {
+				// * The server replies with the number of substreams it accepted
+				this.maximumSubstreamId = packet.maximumSubstreamId;
+			}
+
+			try {
+				packet.decodeAcknowledgement(this.hasSubstreamAggregateAcks(packet));
+
+				if (packet.isData()) {
+					this.acknowledgePackets(packet);
+				}
+			} catch (error) {
+				packet.stackTrace = error.stack;
+			}
 
 			this.packets.push(packet);
-			return;
+			return [packet];
+		}
+
+		if (packet.isData() && !packet.hasFlagReliable()) {
+			// * Unreliable packets are never retransmitted,
+			// * so they are handled in capture order
+			this.packets.push(packet);
+			this.handleUnreliableDataPacket(packet);
+			return [packet];
 		}
 
 		if (packet.isPing()) {
 			// * Ping packets contain no useful information
 
 			this.packets.push(packet);
-			return;
+			return [packet];
 		}
 
 		if (packet.isToServer() && !this.accessKey) {
@@ -226,131 +509,507 @@ class Connection {
 		if (packet.isConnect() && packet.isToServer()) {
 			// * CONNECT packet from client
 			this.clientConnectionSignature = packet.connectionSignature;
+
+			// * The client's reliable packets follow on from its CONNECT
+			this.firstClientSequenceId = (packet.sequenceId + 1) & 0xFFFF;
 		}
 
 		if (packet.isData()) {
-			let fragments;
+			this.packets.push(packet);
 
-			if (packet.isToServer()) {
-				fragments = this.clientFragmentationManager.update(packet);
-			} else {
-				fragments = this.serverFragmentationManager.update(packet);
+			const substream = this.getSubstream(packet.substreamId ?? 0);
+			const reorderBuffer = packet.isToServer() ? substream.clientReorderBuffer : substream.serverReorderBuffer;
+
+			if (this.checkRetransmission(packet)) {
+				// * Already decrypted the first copy, or will once it is released. Running
+				// * this one through the cipher again would break the RC4 stream for every later packet
+				const original = packet.retransmissionOf;
+
+				if (reorderBuffer.held.get(original.sequenceId) === original) {
+					this.heldRetransmissions.set(original, [...(this.heldRetransmissions.get(original) ?? []), packet]);
+					return [];
+				}
+
+				return [packet];
 			}
 
-			if (packet.fragmentId === 0) {
-				const payloads = [];
+			if (packet.hasFlagNeedAck()) {
+				const unacknowledgedPackets = packet.isToServer() ? this.unacknowledgedClientPackets : this.unacknowledgedServerPackets;
+				unacknowledgedPackets.set(`${packet.substreamId ?? 0}:${packet.sequenceId}`, packet);
+			}
 
-				for (const fragment of fragments) {
-					if (packet.isToServer() && this.decryptedClientPayloads[fragment.sequenceId]) {
-						payloads.push(this.decryptedClientPayloads[fragment.sequenceId]);
-					} else if (packet.isToClient() && this.decryptedServerPayloads[fragment.sequenceId]) {
-						payloads.push(this.decryptedServerPayloads[fragment.sequenceId]);
-					} else {
-						let cipher;
-
-						if (packet.isToServer()) {
-							// * Use the client->server cipher
-							cipher = this.rc4CipherToServer;
-						} else {
-							// * Use the server->client cipher
-							cipher = this.rc4CipherToClient;
-						}
+			const firstSequenceId = packet.isToServer() ? this.firstClientSequenceId : this.firstServerSequenceId;
 
-						const decrypted = cipher.update(fragment.payload);
+			if (firstSequenceId !== null) {
+				// * Otherwise the first packet to arrive would be taken as the first one sent
+				reorderBuffer.start(firstSequenceId);
+			}
 
-						if (packet.isToServer()) {
-							this.decryptedClientPayloads[fragment.sequenceId] = decrypted;
-						} else {
-							this.decryptedServerPayloads[fragment.sequenceId] = decrypted;
-						}
+			const { packets, missing } = reorderBuffer.push(packet);
 
-						payloads.push(decrypted);
-					}
-				}
+			this.recordMissingPackets(packet, missing);
 
-				const decryptedPayload = Buffer.concat(payloads);
+			return this.releaseDataPackets(packets);
+		}
 
-				packet.rmcMessage = new RMCMessage(decryptedPayload);
+		this.packets.push(packet);
+		return [...handledPackets, packet];
+	}
 
-				// * If the packet has a custom ID, check the protocol list with it
-				let protocolId;
-				if (packet.rmcMessage.protocolId === 0x7F) {
-					protocolId = packet.rmcMessage.customId;
-				} else {
-					protocolId = packet.rmcMessage.protocolId;
-				}
+	/**
+	 * Gives up waiting for missing reliable DATA packets and fragments, and handles
+	 * everything still held for reordering. Used once the capture ends
+	 *
+	 * @returns {Array<(Packet|PacketV0|PacketV1)>} Packets which were handled
+	 */
+	flush() {
+		const handled = [];
+
+		const fragmentationManagers = [
+			this.clientUnreliableFragmentationManager,
+			this.serverUnreliableFragmentationManager
+		];
 
-				const protocol = Protocols[protocolId];
+		for (const substream of this.substreams.values()) {
+			for (const reorderBuffer of [substream.clientReorderBuffer, substream.serverReorderBuffer]) {
+				const { packets, missing } = reorderBuffer.flush();
 
-				if (!protocol) {
-					console.log(`Unknown protocol ID ${protocolId} (0x${protocolId.toString(16)})`);
-					this.packets.push(packet);
-					return;
+				if (packets.length !== 0) {
+					this.recordMissingPackets(packets[0], missing);
 				}
 
-				if (!packet.rmcMessage.isRequest() && !packet.rmcMessage.isSuccess()) {
-					const requestPacket = this.packets.find(p => {
-						if (
-							p.rmcMessage.isRequest() &&
-							p.rmcMessage.protocolId === packet.rmcMessage.protocolId &&
-							p.rmcMessage.callId === packet.rmcMessage.callId
-						) {
-							return true;
-						}
-					});
+				handled.push(...this.releaseDataPackets(packets));
+			}
 
-					if (requestPacket) {
-						packet.rmcMessage.methodId = requestPacket.rmcMessage.methodId;
-					}
-				} else {
-					try {
-						protocol.handlePacket(packet);
-					} catch (error) {
-						packet.stackTrace = error.stack;
+			fragmentationManagers.push(substream.clientFragmentationManager, substream.serverFragmentationManager);
+		}
+
+		for (const fragmentationManager of fragmentationManagers) {
+			for (const message of fragmentationManager.expire()) {
+				this.handleRMCMessage(message);
+			}
+		}
+
+		return handled;
+	}
+
+	/**
+	 *
+	 * @param {number} substreamId Substream ID
+	 * @returns {Substream} Reliable state of the substream
+	 */
+	getSubstream(substreamId) {
+		if (!this.substreams.has(substreamId)) {
+			this.substreams.set(substreamId, new Substream(substreamId, this.rc4Key, {
+				reorderWindow: this.options.reorderWindow,
+				fragmentTimeout: this.options.fragmentTimeout
+			}));
+		}
+
+		return this.substreams.get(substreamId);
+	}
+
+	/**
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Reliable DATA packet from the direction and substream with missing packets
+	 * @param {Array<number>} sequenceIds Sequence IDs which never arrived
+	 */
+	recordMissingPackets(packet, sequenceIds) {
+		if (sequenceIds.length === 0) {
+			return;
+		}
+
+		this.missingPackets.push({
+			direction: packet.isToServer() ? 'client' : 'server',
+			substreamId: packet.substreamId ?? 0,
+			sequenceIds
+		});
+	}
+
+	/**
+	 *
+	 * @returns {boolean} True if the session key may still be one of the supplied ones, found on the first DATA packet
+	 */
+	awaitingSessionKey() {
+		return !this.isSecureServer && !this.sessionKeySearched && (this.options.keyStore?.hasSessionKeys() ?? false);
+	}
+
+	/**
+	 * Switches to a supplied session key if the first DATA packet of a connection
+	 * does not decrypt with the default key, for captures without the login
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet First reliable DATA packet of substream 0 in its direction
+	 */
+	useSuppliedSessionKey(packet) {
+		this.sessionKeySearched = true;
+
+		if (Connection.findSessionKey(packet, [this.rc4Key])) {
+			// * Not encrypted with a session key, such as the authentication server
+			return;
+		}
+
+		const candidates = this.options.keyStore.sessionKeyCandidates(this.discriminator, this.clientPID);
+		const key = Connection.findSessionKey(packet, candidates.map(candidate => candidate.key));
+
+		if (!key) {
+			this.warn('None of the supplied session keys decrypt this connection');
+			return;
+		}
+
+		const candidate = candidates.find(candidate => candidate.key === key);
+
+		this.clientPID ??= candidate.pid;
+		this.sessionKey = key;
+		this.isSecureServer = true;
+		this.setRC4Key(key);
+	}
+
+	/**
+	 * Finds which candidate session key a packet was encrypted with, by decrypting it with
+	 * each and checking if the result starts like an RMC message. Only works on the first
+	 * reliable DATA packet of a substream in each direction, where the RC4 stream starts
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet First reliable DATA packet
+	 * @param {Array<(string|Buffer)>} candidates Session keys to try
+	 * @returns {(string|Buffer)} Candidate which decrypts the packet, or null if none do
+	 */
+	static findSessionKey(packet, candidates) {
+		for (const key of candidates) {
+			const payload = crypto.createDecipheriv('rc4', key, '').update(packet.payload);
+
+			if (Connection.isRMCPayload(payload, packet)) {
+				return key;
+			}
+
+			// * PRUDPv0 titles may put a compression ratio byte in front
+			if (packet.version === 0 && payload[0] === 0 && Connection.isRMCPayload(payload.subarray(1), packet)) {
+				return key;
+			}
+
+			if (packet.version === 0 && payload[0] !== 0) {
+				try {
+					if (Connection.isRMCPayload(zlib.inflateSync(payload.subarray(1)), packet)) {
+						return key;
 					}
+				} catch {
+					// * Not compressed either
 				}
+			}
+		}
 
-				if (!packet.rmcData.protocolName) {
-					packet.rmcData.protocolName = protocol.ProtocolName;
-				}
+		return null;
+	}
 
-				if (!packet.rmcData.methodName) {
-					packet.rmcData.methodName = protocol.MethodNames[packet.rmcMessage.methodId];
+	/**
+	 *
+	 * @param {Buffer} payload Decrypted packet payload
+	 * @param {(Packet|PacketV0|PacketV1)} packet DATA packet the payload is from
+	 * @returns {boolean} True if the payload starts with the size and a known protocol ID of an RMC message
+	 */
+	static isRMCPayload(payload, packet) {
+		if (payload.length < 5) {
+			return false;
+		}
+
+		const size = payload.readUInt32LE(0);
+
+		if (packet.fragmentId) {
+			// * First fragment of a larger message
+			if (size <= payload.length - 4 || size > MAXIMUM_FRAGMENTED_MESSAGE_SIZE) {
+				return false;
+			}
+		} else if (size !== payload.length - 4) {
+			return false;
+		}
+
+		let protocolId = payload[4] & 0x7F;
+
+		if (protocolId === 0x7F) {
+			if (payload.length < 7) {
+				return false;
+			}
+
+			protocolId = payload.readUInt16LE(5);
+		}
+
+		return Protocols[protocolId] !== undefined;
+	}
+
+	/**
+	 * Decrypts and decodes a reliable DATA packet. Packets must be passed in sequence ID order
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Reliable DATA packet
+	 */
+	handleDataPacket(packet) {
+		if (packet.arrivedLate) {
+			// * The cipher has already moved past this packet, decrypting it would break every later packet
+			return;
+		}
+
+		if ((packet.substreamId ?? 0) === 0 && this.awaitingSessionKey()) {
+			this.useSuppliedSessionKey(packet);
+		}
+
+		const substream = this.getSubstream(packet.substreamId ?? 0);
+		let cipher;
+
+		if (packet.isToServer()) {
+			// * Use the client->server cipher
+			cipher = substream.rc4CipherToServer;
+		} else {
+			// * Use the server->client cipher
+			cipher = substream.rc4CipherToClient;
+		}
+
+		const payload = this.decompressPayload(packet, cipher.update(packet.payload));
+		const fragmentationManager = packet.isToServer() ? substream.clientFragmentationManager : substream.serverFragmentationManager;
+
+		for (const message of fragmentationManager.update(packet, payload)) {
+			this.handleRMCMessage(message);
+		}
+	}
+
+	/**
+	 * Decrypts and decodes an unreliable DATA packet
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Unreliable DATA packet
+	 */
+	handleUnreliableDataPacket(packet) {
+		let payload;
+
+		if (packet.version === 1) {
+			payload = crypto.createDecipheriv('rc4', this.unreliablePacketKey(packet), '').update(packet.payload);
+		} else if (packet.isToServer()) {
+			payload = this.unreliableRC4CipherToServer.update(packet.payload);
+		} else {
+			payload = this.unreliableRC4CipherToClient.update(packet.payload);
+		}
+
+		payload = this.decompressPayload(packet, payload);
+
+		const fragmentationManager = packet.isToServer() ? this.clientUnreliableFragmentationManager : this.serverUnreliableFragmentationManager;
+
+		for (const message of fragmentationManager.update(packet, payload)) {
+			this.handleRMCMessage(message);
+		}
+	}
+
+	/**
+	 * Strips the compression ratio byte PRUDPv0 titles with compression enabled
+	 * put in front of every payload, and inflates the payload if it was compressed
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet DATA packet
+	 * @param {Buffer} payload Decrypted packet payload
+	 * @returns {Buffer} Payload ready to be joined into an RMC message
+	 */
+	decompressPayload(packet, payload) {
+		if (packet.version !== 0 || payload.length === 0) {
+			return payload;
+		}
+
+		if (this.payloadCompression === null) {
+			if (this.title.payload_compression !== undefined) {
+				this.payloadCompression = this.title.payload_compression;
+			} else if (this.detectPayloadCompression(payload)) {
+				this.payloadCompression = true;
+			} else {
+				// * Not known yet, the next packet may tell
+				return payload;
+			}
+		}
+
+		if (!this.payloadCompression) {
+			return payload;
+		}
+
+		const ratio = payload[0];
+		const data = payload.subarray(1);
+
+		if (ratio === 0) {
+			// * Sent uncompressed
+			return data;
+		}
+
+		try {
+			const decompressed = zlib.inflateSync(data);
+
+			packet.compression = {
+				ratio,
+				compressedSize: data.length,
+				uncompressedSize: decompressed.length
+			};
+
+			return decompressed;
+		} catch (error) {
+			packet.stackTrace = error.stack;
+			return data;
+		}
+	}
+
+	/**
+	 * Checks if a PRUDPv0 payload starts with a compression ratio byte, for titles
+	 * which do not say if they use compression
+	 *
+	 * @param {Buffer} payload Decrypted packet payload
+	 * @returns {boolean} True if the payload is an uncompressed RMC message after a zero ratio byte, or zlib data after a ratio byte
+	 */
+	detectPayloadCompression(payload) {
+		if (payload.length < 5) {
+			return false;
+		}
+
+		if (payload[0] === 0) {
+			return payload.readUInt32LE(1) === payload.length - 5;
+		}
+
+		// * Check for a zlib header. Plain RMC messages start with their
+		// * length, which would have to be over 30KB to look like one
+		const header = payload.readUInt16BE(1);
+
+		if ((header & 0x0F00) !== 0x0800 || header % 31 !== 0) {
+			return false;
+		}
+
+		try {
+			zlib.inflateSync(payload.subarray(1));
+			return true;
+		} catch {
+			return false;
+		}
+	}
+
+	/**
+	 *
+	 * @param {FragmentedMessage} message Rebuilt RMC message, or one given up on because fragments never arrived
+	 */
+	handleRMCMessage(message) {
+		const { packet } = message;
+
+		if (!message.complete) {
+			packet.incompleteMessage = {
+				sequenceIds: message.sequenceIds,
+				missingSequenceIds: message.missingSequenceIds,
+				missingLastFragment: message.missingLastFragment
+			};
+
+			return;
+		}
+
+		try {
+			packet.rmcMessage = new RMCMessage(message.payload);
+		} catch (error) {
+			// * Usually a payload decrypted with an out of sync cipher.
+			// * Keep any decompression error, it explains this one
+			packet.stackTrace ??= error.stack;
+			return;
+		}
+
+		// * If the packet has a custom ID, check the protocol list with it
+		let protocolId;
+		if (packet.rmcMessage.protocolId === 0x7F) {
+			protocolId = packet.rmcMessage.customId;
+		} else {
+			protocolId = packet.rmcMessage.protocolId;
+		}
+
+		const protocol = Protocols[protocolId];
+
+		if (!protocol) {
+			this.warn(`Unknown protocol ID ${protocolId} (0x${protocolId.toString(16)})`);
+			return;
+		}
+
+		if (!packet.rmcMessage.isRequest() && !packet.rmcMessage.isSuccess()) {
+			const requestPacket = this.packets.find(p => {
+				if (
+					p.rmcMessage.isRequest() &&
+					p.rmcMessage.protocolId === packet.rmcMessage.protocolId &&
+					p.rmcMessage.callId === packet.rmcMessage.callId
+				) {
+					return true;
 				}
+			});
+
+			if (requestPacket) {
+				packet.rmcMessage.methodId = requestPacket.rmcMessage.methodId;
+			}
+		} else {
+			try {
+				protocol.handlePacket(packet);
+			} catch (error) {
+				packet.stackTrace = error.stack;
+			}
+		}
 
-				if (packet.rmcMessage.isResponse()) {
-					if (packet.rmcMessage.protocolId === Authentication.ProtocolID) {
-						if (packet.rmcMessage.methodId === Authentication.Methods.Login || packet.rmcMessage.methodId === Authentication.Methods.LoginEx) {
-							this.clientPID = packet.rmcData.body.pidPrincipal;
-							this.clientNEXPassword = NEX_KEYS[this.clientPID];
-							this.secureServerStationURL = packet.rmcData.body.pConnectionData.stationUrl;
+		if (!packet.rmcData.protocolName) {
+			packet.rmcData.protocolName = protocol.ProtocolName;
+		}
 
-							if (!this.clientNEXPassword) {
-								throw new Error(`No NEX password set for PID ${this.clientPID}!`);
-							}
+		if (!packet.rmcData.methodName) {
+			packet.rmcData.methodName = protocol.MethodNames[packet.rmcMessage.methodId];
+		}
 
-							const ticketStream = new Stream(packet.rmcData.body.pbufResponse, this);
-							const ticket = new kerberos.KerberosTicket(ticketStream);
+		if (packet.rmcMessage.isResponse()) {
+			if (packet.rmcMessage.protocolId === Authentication.ProtocolID) {
+				if (packet.rmcMessage.methodId === Authentication.Methods.Login || packet.rmcMessage.methodId === Authentication.Methods.LoginEx) {
+					this.clientPID = packet.rmcData.body.pidPrincipal;
+					this.secureServerStationURL = packet.rmcData.body.pConnectionData.stationUrl;
 
-							if (ticket.targetPID === this.clientPID) {
-								this.sessionKey = ticket.sessionKey;
-								this.checkForSecureServer = true;
-							}
-						}
+					const suppliedSessionKey = this.options.keyStore?.getSessionKey(this.clientPID);
 
-						if (packet.rmcMessage.methodId === Authentication.Methods.RequestTicket) {
-							const ticketStream = new Stream(packet.rmcData.body.bufResponse, this);
-							const ticket = new kerberos.KerberosTicket(ticketStream);
+					if (suppliedSessionKey) {
+						// * Given by hand, no need for the NEX password
+						this.sessionKey = suppliedSessionKey;
+						this.checkForSecureServer = true;
+					} else {
+						const ticket = this.decryptTicket(packet.rmcData.body.pbufResponse);
 
+						if (ticket && ticket.targetPID === this.clientPID) {
 							this.sessionKey = ticket.sessionKey;
 							this.checkForSecureServer = true;
 						}
 					}
 				}
+
+				if (packet.rmcMessage.methodId === Authentication.Methods.RequestTicket) {
+					const ticket = this.decryptTicket(packet.rmcData.body.bufResponse);
+
+					if (ticket) {
+						this.sessionKey = ticket.sessionKey;
+						this.checkForSecureServer = true;
+					}
+				}
 			}
 		}
+	}
 
-		this.packets.push(packet);
+	/**
+	 * Decrypts a Kerberos ticket with the key of the client PID. Without
+	 * the key the secure server packets cannot be decrypted, so this warns
+	 * rather than stopping the rest of the capture from being parsed
+	 *
+	 * @param {Buffer} buffer Encrypted ticket
+	 * @returns {KerberosTicket} Decrypted ticket, or null if it could not be decrypted
+	 */
+	decryptTicket(buffer) {
+		try {
+			this.clientKerberosKey = this.options.keyStore?.getKey(this.clientPID) ?? null;
+		} catch (error) {
+			this.warn(`Failed to load NEX keys: ${error.message}`);
+			return null;
+		}
+
+		if (!this.clientKerberosKey) {
+			this.warn(`No NEX password or key set for PID ${this.clientPID}. Packets after logging in cannot be decrypted`);
+			return null;
+		}
+
+		try {
+			return new kerberos.KerberosTicket(new Stream(buffer, this));
+		} catch (error) {
+			this.warn(`Failed to decrypt the Kerberos ticket for PID ${this.clientPID}, the NEX password or key may be wrong: ${error.message}`);
+			return null;
+		}
 	}
 
 	/**
@@ -403,7 +1062,7 @@ class Connection {
 		const protocol = Protocols[protocolId];
 
 		if (!protocol) {
-			console.log(`Unknown protocol ID ${protocolId} (0x${protocolId.toString(16)})`);
+			this.warn(`Unknown protocol ID ${protocolId} (0x${protocolId.toString(16)})`);
 			this.packets.push(packet);
 			return;
 		}
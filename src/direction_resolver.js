@@ -0,0 +1,220 @@
+const isPrivateIP = require('private-ip');
+const { formatAddress } = require('./util');
+
+const PRUDP_V1_MAGIC = Buffer.from([0xEA, 0xD0]);
+
+// * Nintendo uses standardized stream bytes with NEX.
+// * The client is always 0xAF and the server is always 0xA1
+const CLIENT_STREAM = 0xAF;
+const SERVER_STREAM = 0xA1;
+
+const PRUDP_TYPE_SYN = 0;
+const PRUDP_FLAG_ACK = 0x1;
+
+class DirectionResolver {
+	/**
+	 *
+	 * @param {object} [options] Resolver options
+	 * @param {Array<(string|number)>} [options.serverAddresses] Known NEX servers. Entries may be an address (`192.168.0.10`, `[fd00::10]`), an address and port (`192.168.0.10:60000`, `[fd00::10]:60000`) or a port on its own (`60000`, `*:60000`)
+	 */
+	constructor(options = {}) {
+		this.servers = [];
+		this.flows = new Map(); // * Flow key -> client endpoint, for flows already resolved
+
+		for (const server of options.serverAddresses || []) {
+			this.addServer(server);
+		}
+	}
+
+	/**
+	 *
+	 * @param {(string|number)} address Server address, address and port, or port
+	 * @param {(string|number)} [port] Server port, if not part of `address`
+	 */
+	addServer(address, port) {
+		let server;
+
+		if (port !== undefined) {
+			server = {
+				address: String(address),
+				port: Number(port)
+			};
+		} else {
+			server = DirectionResolver.parseServerAddress(address);
+		}
+
+		const exists = this.servers.some(existing => existing.address === server.address && existing.port === server.port);
+
+		if (!exists) {
+			this.servers.push(server);
+		}
+	}
+
+	/**
+	 *
+	 * @param {(string|number)} entry Server address, address and port, or port
+	 * @returns {object} Server address and port. Either may be undefined to match anything
+	 */
+	static parseServerAddress(entry) {
+		entry = String(entry).trim();
+
+		if (/^\d+$/.test(entry)) {
+			return { address: undefined, port: Number(entry) };
+		}
+
+		let match = entry.match(/^\[(.+)\](?::(\d+))?$/);
+
+		if (!match && (entry.match(/:/g) || []).length === 1) {
+			// * IPv4 address and port, or wildcard and port
+			match = entry.match(/^(.*):(\d+)$/);
+		}
+
+		if (!match) {
+			// * Bare IPv4 or IPv6 address
+			return { address: entry, port: undefined };
+		}
+
+		const [, address, port] = match;
+
+		return {
+			address: address && address !== '*' ? address : undefined,
+			port: port ? Number(port) : undefined
+		};
+	}
+
+	/**
+	 *
+	 * @param {string} address IP address
+	 * @param {number} port UDP port
+	 * @returns {boolean} True if the endpoint is a configured server
+	 */
+	isKnownServer(address, port) {
+		return this.servers.some(server => {
+			if (server.address !== undefined && server.address !== address) {
+				return false;
+			}
+
+			if (server.port !== undefined && server.port !== port) {
+				return false;
+			}
+
+			return true;
+		});
+	}
+
+	/**
+	 * Decides if a UDP packet was sent by the client.
+	 * Checks, in order, the configured servers, the PRUDP stream bytes,
+	 * the SYN initiator and previous decisions for the same flow. Falls
+	 * back to assuming the client has a private address
+	 *
+	 * @param {object} udpPacket UDP packet data as parsed by `NEXParser.parseUDPPacket`
+	 * @returns {boolean} True if the packet is client->server
+	 */
+	isToServer(udpPacket) {
+		const source = formatAddress(udpPacket.source, udpPacket.sourcePort);
+		const destination = formatAddress(udpPacket.destination, udpPacket.destinationPort);
+		const flowKey = [source, destination].sort().join('|');
+
+		const sourceIsServer = this.isKnownServer(udpPacket.source, udpPacket.sourcePort);
+		const destinationIsServer = this.isKnownServer(udpPacket.destination, udpPacket.destinationPort);
+
+		if (sourceIsServer !== destinationIsServer) {
+			return destinationIsServer;
+		}
+
+		let isToServer = DirectionResolver.checkStreamBytes(udpPacket.payload);
+
+		if (isToServer === undefined) {
+			isToServer = DirectionResolver.checkSyn(udpPacket.payload);
+		}
+
+		if (isToServer !== undefined) {
+			this.flows.set(flowKey, isToServer ? source : destination);
+
+			return isToServer;
+		}
+
+		if (this.flows.has(flowKey)) {
+			return this.flows.get(flowKey) === source;
+		}
+
+		return isPrivateIP(udpPacket.source);
+	}
+
+	/**
+	 *
+	 * @param {Buffer} payload UDP payload
+	 * @returns {object} PRUDP version, source, destination and type/flags of the first packet in the payload, or undefined
+	 */
+	static peekPRUDPHeader(payload) {
+		if (payload.length >= 0xA && payload.subarray(0, 2).equals(PRUDP_V1_MAGIC) && payload[2] === 1) {
+			return {
+				version: 1,
+				source: payload[6],
+				destination: payload[7],
+				typeAndFlags: payload.readUInt16LE(8)
+			};
+		}
+
+		if (payload.length >= 0x4) {
+			return {
+				version: 0,
+				source: payload[0],
+				destination: payload[1],
+				typeAndFlags: payload.readUInt16LE(2)
+			};
+		}
+	}
+
+	/**
+	 *
+	 * @param {Buffer} payload UDP payload
+	 * @returns {boolean} True if client->server, false if server->client, undefined if the stream bytes are not standard
+	 */
+	static checkStreamBytes(payload) {
+		const header = DirectionResolver.peekPRUDPHeader(payload);
+
+		if (!header) {
+			return;
+		}
+
+		if (header.source === CLIENT_STREAM && header.destination === SERVER_STREAM) {
+			return true;
+		}
+
+		if (header.source === SERVER_STREAM && header.destination === CLIENT_STREAM) {
+			return false;
+		}
+	}
+
+	/**
+	 *
+	 * @param {Buffer} payload UDP payload
+	 * @returns {boolean} True if the payload is a SYN from the client, false if a SYN-ACK from the server, undefined otherwise
+	 */
+	static checkSyn(payload) {
+		const header = DirectionResolver.peekPRUDPHeader(payload);
+
+		if (!header) {
+			return;
+		}
+
+		const type = header.typeAndFlags & 0xF;
+		const flags = header.typeAndFlags >> 4;
+
+		if (type !== PRUDP_TYPE_SYN) {
+			return;
+		}
+
+		if ((header.source & 0xF0) !== (header.destination & 0xF0)) {
+			// * Both ends of a PRUDP connection use the same stream type
+			return;
+		}
+
+		// * The client initiates the SYN, the server acknowledges it
+		return (flags & PRUDP_FLAG_ACK) === 0;
+	}
+}
+
+module.exports = DirectionResolver;
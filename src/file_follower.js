@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const DEFAULT_POLL_INTERVAL = 500; // * Milliseconds
+
+/**
+ * Readable stream of a file which keeps reading as the file grows,
+ * like `tail -f`. Only ends once `stop` is called and everything
+ * written so far has been read
+ */
+class FileFollower extends Readable {
+	/**
+	 *
+	 * @param {string} filePath Path to the file to follow
+	 * @param {object} [options] Follow options
+	 * @param {number} [options.pollInterval] Milliseconds to wait before checking for new data at the end of the file
+	 */
+	constructor(filePath, options = {}) {
+		super();
+
+		this.path = filePath;
+		this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+		this.fd = null;
+		this.position = 0;
+		this.stopped = false;
+		this.pollTimeout = null;
+		this.readSize = 0;
+	}
+
+	_construct(callback) {
+		fs.open(this.path, 'r', (error, fd) => {
+			this.fd = fd;
+			callback(error);
+		});
+	}
+
+	_read(size) {
+		this.readSize = size;
+
+		fs.read(this.fd, Buffer.alloc(size), 0, size, this.position, (error, bytesRead, buffer) => {
+			if (error) {
+				this.destroy(error);
+				return;
+			}
+
+			if (bytesRead > 0) {
+				this.position += bytesRead;
+				this.push(buffer.subarray(0, bytesRead));
+			} else if (this.stopped) {
+				this.push(null);
+			} else {
+				// * Caught up with the writer, wait for more data
+				this.pollTimeout = setTimeout(() => {
+					this.pollTimeout = null;
+					this._read(size);
+				}, this.pollInterval);
+			}
+		});
+	}
+
+	/**
+	 * Stops following the file. Data already written is still read before the stream ends
+	 */
+	stop() {
+		this.stopped = true;
+
+		if (this.pollTimeout) {
+			clearTimeout(this.pollTimeout);
+			this.pollTimeout = null;
+
+			// * Pick up anything written since the last poll, then end
+			this._read(this.readSize);
+		}
+	}
+
+	_destroy(error, callback) {
+		clearTimeout(this.pollTimeout);
+
+		if (this.fd === null) {
+			callback(error);
+			return;
+		}
+
+		fs.close(this.fd, () => callback(error));
+	}
+}
+
+module.exports = FileFollower;
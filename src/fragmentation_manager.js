@@ -4,69 +4,187 @@
  * @typedef {import('./packetv1')} PacketV1
  */
 
+const { compareSequenceIds } = require('./util');
+
+const DEFAULT_TIMEOUT = 10; // * Seconds to wait for the missing fragments of a message
+
+/**
+ * @typedef {object} FragmentedMessage
+ * @property {(Packet|PacketV0|PacketV1)} packet Packet the RMC message belongs to. The last fragment, or the latest fragment seen if the message is incomplete
+ * @property {boolean} complete True if every fragment arrived
+ * @property {Buffer} [payload] Decrypted payloads of every fragment joined together. Only set on complete messages
+ * @property {Array<number>} sequenceIds Sequence IDs of the fragments which arrived
+ * @property {Array<number>} missingSequenceIds Sequence IDs of the fragments which never arrived
+ * @property {boolean} missingLastFragment True if the last fragment never arrived, so more fragments may be missing after the latest one seen
+ */
+
+/**
+ * Rebuilds RMC messages split over several DATA packets. Fragments count up from 1
+ * on consecutive sequence IDs, and the last fragment of a message has fragment ID 0
+ */
 class FragmentationManager {
-	constructor() {
-		this.fragments = [];
+	/**
+	 *
+	 * @param {object} [options] Fragmentation options
+	 * @param {number} [options.timeout] Seconds to wait for missing fragments before giving up on a message
+	 */
+	constructor(options = {}) {
+		this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+		this.messages = new Map(); // * Messages still being built, keyed by the sequence ID of their first fragment
 	}
 
 	/**
 	 *
-	 * @param {(Packet|PacketV0|PacketV1)} packet PRUDP packet
-	 * @returns {Array} fragments
+	 * @param {(Packet|PacketV0|PacketV1)} packet Reliable DATA packet
+	 * @param {Buffer} payload Decrypted packet payload
+	 * @returns {Array<FragmentedMessage>} Messages which were completed or given up on
 	 */
-	update(packet) {
-		// * Some extra fragment
+	update(packet, payload) {
+		const fragment = {
+			sequenceId: packet.sequenceId,
+			packet,
+			payload
+		};
+
+		let message;
+
 		if (packet.fragmentId !== 0) {
-			this.fragments.push({
-				sequenceId: packet.sequenceId,
-				fragmentId: packet.fragmentId,
-				nextedExpectedSequenceId: packet.sequenceId+1,
-				payload: packet.payload
-			});
+			const firstSequenceId = (packet.sequenceId - packet.fragmentId + 1) & 0xFFFF;
+
+			message = this.messages.get(firstSequenceId);
+
+			if (!message) {
+				message = {
+					firstSequenceId,
+					fragments: new Map(),
+					lastFragment: null,
+					lastUpdate: 0
+				};
+
+				this.messages.set(firstSequenceId, message);
+			}
+		} else {
+			message = this.findMessageEndingAt(packet.sequenceId);
+
+			if (!message) {
+				// * Payload was not fragmented
+				return [...this.expire(packet.relativeTime), {
+					packet,
+					complete: true,
+					payload,
+					sequenceIds: [packet.sequenceId],
+					missingSequenceIds: [],
+					missingLastFragment: false
+				}];
+			}
+
+			message.lastFragment = fragment;
 		}
 
-		// * End of fragmentation. Start rebuilding
-		if (packet.fragmentId === 0) {
-			const fragments = [];
-			const secondToLastFragment = this.fragments.find(fragment => fragment.nextedExpectedSequenceId === packet.sequenceId);
+		message.fragments.set(packet.sequenceId, fragment);
+		message.lastUpdate = packet.relativeTime;
 
-			if (secondToLastFragment) {
-				// * Payload was fragmented
-				const missingFragments = [];
-				const firstFragment = this.fragments.find(fragment => fragment.sequenceId === secondToLastFragment.sequenceId-secondToLastFragment.fragmentId+1);
+		const results = [];
 
-				fragments.push(firstFragment);
+		if (message.lastFragment && this.missingSequenceIds(message).length === 0) {
+			this.messages.delete(message.firstSequenceId);
+			results.push(this.buildResult(message));
+		}
 
-				let currentFragment = firstFragment;
+		results.unshift(...this.expire(packet.relativeTime));
 
-				for (let i = 0; i < secondToLastFragment.fragmentId-1; i++) {
-					const nextFragment = this.fragments.find(fragment => fragment.sequenceId === currentFragment.nextedExpectedSequenceId);
-					if (!nextFragment) {
-						console.log('MISSING FRAGMENT', currentFragment.nextedExpectedSequenceId);
-						missingFragments.push(currentFragment.nextedExpectedSequenceId);
+		return results;
+	}
 
-						// TODO - Handle and defer this. I don't have any dumps which have missing packets to test!
+	/**
+	 * Gives up on messages which have not seen a new fragment within the timeout
+	 *
+	 * @param {number} [now] Current capture time in seconds. Every pending message is given up on if not set
+	 * @returns {Array<FragmentedMessage>} Incomplete messages
+	 */
+	expire(now) {
+		const results = [];
+
+		for (const message of this.messages.values()) {
+			if (now === undefined || now - message.lastUpdate > this.timeout) {
+				this.messages.delete(message.firstSequenceId);
+				results.push(this.buildResult(message));
+			}
+		}
 
-						// * Fake next fragment, just to keep the loop going
-						currentFragment = {
-							nextedExpectedSequenceId: currentFragment.nextedExpectedSequenceId+1
-						};
-					} else {
-						currentFragment = nextFragment;
-						fragments.push(currentFragment);
-					}
+		return results;
+	}
+
+	/**
+	 *
+	 * @param {number} sequenceId Sequence ID of a last fragment
+	 * @returns {object} Pending message the last fragment belongs to, if any
+	 */
+	findMessageEndingAt(sequenceId) {
+		let found;
+
+		for (const message of this.messages.values()) {
+			if (message.lastFragment) {
+				continue;
+			}
+
+			const distance = compareSequenceIds(sequenceId, message.firstSequenceId);
+
+			// * Pick the latest message which started before this fragment and has not ended yet
+			if (distance > 0 && (!found || compareSequenceIds(message.firstSequenceId, found.firstSequenceId) > 0)) {
+				found = message;
+			}
+		}
+
+		return found;
+	}
+
+	/**
+	 *
+	 * @param {object} message Pending message
+	 * @returns {Array<number>} Sequence IDs between the first fragment and the last fragment (or the latest fragment seen) which have not arrived
+	 */
+	missingSequenceIds(message) {
+		let lastSequenceId = message.lastFragment?.sequenceId;
+
+		if (lastSequenceId === undefined) {
+			for (const sequenceId of message.fragments.keys()) {
+				if (lastSequenceId === undefined || compareSequenceIds(sequenceId, lastSequenceId) > 0) {
+					lastSequenceId = sequenceId;
 				}
 			}
+		}
 
-			// * Reorder the packets from 1-X and add fragment 0 to the end
-			const sortedFragments = fragments.sort((a, b) => a.fragmentId - b.fragmentId);
-			sortedFragments.push(packet);
+		const missing = [];
 
-			return sortedFragments;
+		for (let sequenceId = message.firstSequenceId; sequenceId !== lastSequenceId; sequenceId = (sequenceId + 1) & 0xFFFF) {
+			if (!message.fragments.has(sequenceId)) {
+				missing.push(sequenceId);
+			}
 		}
 
-		return [];
+		return missing;
+	}
+
+	/**
+	 *
+	 * @param {object} message Finished or abandoned message
+	 * @returns {FragmentedMessage} Message result
+	 */
+	buildResult(message) {
+		const fragments = [...message.fragments.values()].sort((a, b) => compareSequenceIds(a.sequenceId, b.sequenceId));
+		const missingSequenceIds = this.missingSequenceIds(message);
+		const complete = message.lastFragment !== null && missingSequenceIds.length === 0;
+
+		return {
+			packet: message.lastFragment?.packet ?? fragments[fragments.length - 1].packet,
+			complete,
+			payload: complete ? Buffer.concat(fragments.map(fragment => fragment.payload)) : undefined,
+			sequenceIds: fragments.map(fragment => fragment.sequenceId),
+			missingSequenceIds,
+			missingLastFragment: message.lastFragment === null
+		};
 	}
 }
 
-module.exports = FragmentationManager;
\ No newline at end of file
+module.exports = FragmentationManager;
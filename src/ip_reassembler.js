@@ -0,0 +1,92 @@
+// * RFC 791 suggests 15 seconds, most stacks use 30-60. Timestamps are in seconds
+const DEFAULT_REASSEMBLY_TIMEOUT = 30;
+
+class IPReassembler {
+	/**
+	 *
+	 * @param {number} [timeout] Seconds to wait for the rest of a datagram before dropping it
+	 */
+	constructor(timeout = DEFAULT_REASSEMBLY_TIMEOUT) {
+		this.timeout = timeout;
+		this.datagrams = new Map();
+	}
+
+	/**
+	 *
+	 * @param {object} ipPacket IPv4 or IPv6 packet data carrying a fragment
+	 * @param {number} timestamp Capture timestamp of the fragment, in seconds
+	 * @returns {Buffer} Reassembled payload, or undefined if fragments are still missing
+	 */
+	update(ipPacket, timestamp) {
+		this.expire(timestamp);
+
+		const { fragment } = ipPacket;
+		const key = `${ipPacket.version}|${ipPacket.source}|${ipPacket.destination}|${ipPacket.protocol}|${fragment.id}`;
+		let datagram = this.datagrams.get(key);
+
+		if (!datagram) {
+			datagram = {
+				fragments: [],
+				totalLength: undefined,
+				lastSeen: timestamp
+			};
+
+			this.datagrams.set(key, datagram);
+		}
+
+		datagram.lastSeen = timestamp;
+		datagram.fragments.push({
+			offset: fragment.offset,
+			payload: ipPacket.payload
+		});
+
+		if (!fragment.more) {
+			// * The last fragment tells us how large the full datagram is
+			datagram.totalLength = fragment.offset + ipPacket.payload.length;
+		}
+
+		if (datagram.totalLength === undefined) {
+			return;
+		}
+
+		// * Make sure every byte up to the end is covered before rebuilding
+		const fragments = datagram.fragments.sort((a, b) => a.offset - b.offset);
+		let covered = 0;
+
+		for (const { offset, payload } of fragments) {
+			if (offset > covered) {
+				return;
+			}
+
+			covered = Math.max(covered, offset + payload.length);
+		}
+
+		if (covered < datagram.totalLength) {
+			return;
+		}
+
+		const reassembled = Buffer.alloc(datagram.totalLength);
+
+		for (const { offset, payload } of fragments) {
+			payload.copy(reassembled, offset, 0, Math.min(payload.length, datagram.totalLength - offset));
+		}
+
+		this.datagrams.delete(key);
+
+		return reassembled;
+	}
+
+	/**
+	 *
+	 * @param {number} timestamp Current capture timestamp, in seconds
+	 */
+	expire(timestamp) {
+		for (const [key, datagram] of this.datagrams) {
+			if (timestamp - datagram.lastSeen > this.timeout) {
+				this.datagrams.delete(key);
+			}
+		}
+	}
+}
+
+module.exports = IPReassembler;
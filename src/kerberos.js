@@ -48,7 +48,7 @@ class KerberosTicket {
 	 */
 	constructor(stream) {
 		this.stream = stream;
-		this.key = Buffer.from(this.stream.connection.clientNEXPassword, 'hex');
+		this.key = this.stream.connection.clientKerberosKey;
 
 		this.sessionKey;
 		this.targetPID;
@@ -0,0 +1,642 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const kerberos = require('./kerberos');
+
+const DERIVED_KEY_LENGTH = 16;
+
+// * Encrypted keys files are JSON, holding the keys file contents encrypted
+// * with AES-256-GCM using a key derived from the passphrase with scrypt
+const ENCRYPTED_KEYS_FILE_VERSION = 1;
+const ENCRYPTION_KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const SCRYPT_COST = 2 ** 15;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+
+// * Limits on the scrypt parameters read from encrypted keys files, so a
+// * corrupt or crafted file cannot make unlocking use gigabytes of memory
+const MAXIMUM_SCRYPT_COST = 2 ** 20;
+const MAXIMUM_SCRYPT_BLOCK_SIZE = 32;
+const MAXIMUM_SCRYPT_PARALLELIZATION = 16;
+const MAXIMUM_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+const BASE64_REGEX = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Kerberos keys of NEX accounts, used to decrypt the tickets handed out by the
+ * authentication server. Keys files are only read, and passwords only derived,
+ * the first time a key is looked up.
+ *
+ * Session keys can also be given by hand, for captures which do not include the login
+ */
+class KeyStore {
+	constructor() {
+		this.accounts = new Map(); // * PID -> password and/or derived key
+		this.pendingFiles = []; // * Keys files to read on the next lookup
+		this.sessionKeys = new Map(); // * PID -> session key
+		this.connectionSessionKeys = new Map(); // * Connection discriminator -> session key
+	}
+
+	/**
+	 * Finds `nex-keys.txt` in the places Wireshark's NEX dissector looks for it
+	 *
+	 * @returns {string} Path to the keys file, or null if there is none
+	 */
+	static findKeysFile() {
+		const candidates = [
+			path.join(__dirname, '..', 'nex-keys.txt'), // * Root folder of the repo
+			path.join(__dirname, '..', '..', 'nex-keys.txt') // * Folder the repo is in
+		];
+
+		if (process.platform === 'win32') {
+			candidates.push(path.join(process.env.APPDATA || '', 'Wireshark', 'nex-keys.txt'));
+		} else {
+			candidates.push(path.join(os.homedir(), '.config', 'wireshark', 'nex-keys.txt'));
+		}
+
+		return candidates.find(candidate => fs.existsSync(candidate)) || null;
+	}
+
+	/**
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {string} password NEX account password. The Kerberos key is derived from it when first needed
+	 */
+	addAccount(pid, password) {
+		pid = KeyStore.parsePID(pid);
+
+		if (typeof password !== 'string' || password.length === 0) {
+			throw new Error(`Missing NEX password for PID ${pid}`);
+		}
+
+		this.accounts.set(pid, {
+			password,
+			key: null
+		});
+	}
+
+	/**
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {(string|Buffer)} key Kerberos key already derived from the password, as a buffer or hex string
+	 */
+	addDerivedKey(pid, key) {
+		pid = KeyStore.parsePID(pid);
+
+		if (typeof key === 'string') {
+			if (!/^[0-9a-fA-F]*$/.test(key)) {
+				throw new Error(`Derived key for PID ${pid} is not a hex string`);
+			}
+
+			key = Buffer.from(key, 'hex');
+		}
+
+		if (!Buffer.isBuffer(key) || key.length !== DERIVED_KEY_LENGTH) {
+			throw new Error(`Derived key for PID ${pid} must be ${DERIVED_KEY_LENGTH} bytes`);
+		}
+
+		this.accounts.set(pid, {
+			password: null,
+			key
+		});
+	}
+
+	/**
+	 * Sets the session key for every secure server connection of an account
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {(string|Buffer)} key Session key, as a buffer or hex string
+	 */
+	addSessionKey(pid, key) {
+		pid = KeyStore.parsePID(pid);
+
+		this.sessionKeys.set(pid, KeyStore.parseSessionKey(key, `PID ${pid}`));
+	}
+
+	/**
+	 * Sets the session key for one secure server connection
+	 *
+	 * @param {string} discriminator Connection discriminator, the `address:port` of the server
+	 * @param {(string|Buffer)} key Session key, as a buffer or hex string
+	 */
+	addConnectionSessionKey(discriminator, key) {
+		if (typeof discriminator !== 'string' || !discriminator.includes(':')) {
+			throw new Error(`Invalid connection ${discriminator}. Expected the server address and port`);
+		}
+
+		this.connectionSessionKeys.set(discriminator, KeyStore.parseSessionKey(key, `connection ${discriminator}`));
+	}
+
+	/**
+	 *
+	 * @param {number} pid NEX account PID
+	 * @returns {Buffer} Session key given for the account, or null if there is none
+	 */
+	getSessionKey(pid) {
+		return this.sessionKeys.get(Number(pid)) ?? null;
+	}
+
+	/**
+	 *
+	 * @returns {boolean} True if any session keys were given
+	 */
+	hasSessionKeys() {
+		return this.sessionKeys.size !== 0 || this.connectionSessionKeys.size !== 0;
+	}
+
+	/**
+	 * Session keys which may belong to a connection. A key given for the connection wins,
+	 * then the key for the client PID. Otherwise every account session key is a candidate
+	 *
+	 * @param {string} discriminator Connection discriminator
+	 * @param {number} [pid] Client PID, if known
+	 * @returns {Array<object>} Candidate `pid` (null for connection keys) and `key`
+	 */
+	sessionKeyCandidates(discriminator, pid) {
+		if (this.connectionSessionKeys.has(discriminator)) {
+			return [{
+				pid: null,
+				key: this.connectionSessionKeys.get(discriminator)
+			}];
+		}
+
+		if (pid && this.sessionKeys.has(Number(pid))) {
+			return [{
+				pid: Number(pid),
+				key: this.sessionKeys.get(Number(pid))
+			}];
+		}
+
+		return Array.from(this.sessionKeys, ([pid, key]) => ({ pid, key }));
+	}
+
+	/**
+	 * Derives the Kerberos key of an account straight away and stores it
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {string} password NEX account password
+	 * @returns {object} Imported account `pid` and derived `key`
+	 */
+	importAccount(pid, password) {
+		pid = KeyStore.parsePID(pid);
+
+		if (typeof password !== 'string' || password.length === 0) {
+			throw new Error(`Missing NEX password for PID ${pid}`);
+		}
+
+		const key = kerberos.deriveKerberosKey(pid, password);
+
+		this.addDerivedKey(pid, key);
+
+		return {
+			pid,
+			key
+		};
+	}
+
+	/**
+	 * Imports the NEX account of a Wii U `account.dat` file, found in
+	 * `/storage_mlc/usr/save/system/act/<account>/account.dat`
+	 *
+	 * @param {string} accountFilePath Path to the `account.dat` file
+	 * @returns {object} Imported account `pid` and derived `key`
+	 */
+	importWiiUAccount(accountFilePath) {
+		const contents = fs.readFileSync(accountFilePath, { encoding: 'utf-8' });
+		const { pid, password } = KeyStore.parseWiiUAccount(contents, accountFilePath);
+
+		return this.importAccount(pid, password);
+	}
+
+	/**
+	 * Imports the NEX accounts in the `nex-keys.txt` file the 3DS
+	 * homebrew writes to the root of the SD card
+	 *
+	 * @param {string} keysFilePath Path to the `nex-keys.txt` file
+	 * @returns {Array<object>} Imported accounts `pid` and derived `key`
+	 */
+	import3DSKeys(keysFilePath) {
+		const contents = fs.readFileSync(keysFilePath, { encoding: 'utf-8' });
+		const lines = contents.split(/\r?\n/);
+		const accounts = [];
+
+		for (let i = 0; i < lines.length; i++) {
+			const line = lines[i].trim();
+
+			if (!line) {
+				continue;
+			}
+
+			const separator = line.indexOf(':');
+
+			if (separator === -1) {
+				throw new Error(`${keysFilePath} line ${i + 1} is not in the PID:PASSWORD format`);
+			}
+
+			try {
+				accounts.push(this.importAccount(line.slice(0, separator), line.slice(separator + 1)));
+			} catch (error) {
+				throw new Error(`${keysFilePath} line ${i + 1}: ${error.message}`);
+			}
+		}
+
+		if (accounts.length === 0) {
+			throw new Error(`${keysFilePath} has no NEX accounts in it`);
+		}
+
+		return accounts;
+	}
+
+	/**
+	 * Queues a keys file to be read the first time a key is looked up. Each
+	 * line is `PID:PASSWORD`, or `PID:KEY` with a 32 character hex derived key
+	 *
+	 * @param {string} keysFilePath Path to the keys file
+	 */
+	loadKeysFile(keysFilePath) {
+		this.pendingFiles.push(keysFilePath);
+	}
+
+	/**
+	 * Writes every account back out with derived keys in place of passwords,
+	 * so the passwords do not stay on disk in plain text
+	 *
+	 * @param {string} keysFilePath Path to write the keys file to
+	 */
+	writeKeysFile(keysFilePath) {
+		fs.writeFileSync(keysFilePath, this.serializeKeys());
+	}
+
+	/**
+	 * Reads a passphrase protected keys file straight away, so a wrong passphrase fails here
+	 *
+	 * @param {string} keysFilePath Path to the encrypted keys file
+	 * @param {string} passphrase Passphrase the file was encrypted with
+	 */
+	unlockKeysFile(keysFilePath, passphrase) {
+		const contents = fs.readFileSync(keysFilePath, { encoding: 'utf-8' });
+
+		this.parseKeysFile(KeyStore.decryptKeys(contents, passphrase, keysFilePath), keysFilePath);
+	}
+
+	/**
+	 * Writes every account to a passphrase protected keys file, with derived keys in place of passwords
+	 *
+	 * @param {string} keysFilePath Path to write the encrypted keys file to
+	 * @param {string} passphrase Passphrase to encrypt the file with
+	 */
+	writeEncryptedKeysFile(keysFilePath, passphrase) {
+		fs.writeFileSync(keysFilePath, KeyStore.encryptKeys(this.serializeKeys(), passphrase), {
+			mode: 0o600 // * Only readable by the owner
+		});
+	}
+
+	/**
+	 * Adds accounts to a passphrase protected keys file, keeping the accounts already in it
+	 *
+	 * @param {string} keysFilePath Path to the encrypted keys file
+	 * @param {string} passphrase Passphrase the file was encrypted with
+	 * @param {Array<object>} accounts Accounts to add, as `{ pid, key }`
+	 */
+	addToEncryptedKeysFile(keysFilePath, passphrase, accounts) {
+		const contents = KeyStore.decryptKeys(fs.readFileSync(keysFilePath, { encoding: 'utf-8' }), passphrase, keysFilePath);
+		const lines = accounts.map(({ pid, key }) => `${pid}:${key.toString('hex')}\n`).join('');
+		const separator = contents === '' || contents.endsWith('\n') ? '' : '\n';
+
+		fs.writeFileSync(keysFilePath, KeyStore.encryptKeys(contents + separator + lines, passphrase), {
+			mode: 0o600 // * Only readable by the owner
+		});
+	}
+
+	/**
+	 *
+	 * @returns {string} Every account as `PID:KEY` lines, with derived keys in place of passwords
+	 */
+	serializeKeys() {
+		this.loadPendingFiles();
+
+		let contents = '';
+
+		for (const pid of this.accounts.keys()) {
+			contents += `${pid}:${this.getKey(pid).toString('hex')}\n`;
+		}
+
+		return contents;
+	}
+
+	/**
+	 *
+	 * @param {number} pid NEX account PID
+	 * @returns {Buffer} Kerberos key of the account, or null if the account is unknown
+	 */
+	getKey(pid) {
+		this.loadPendingFiles();
+
+		const account = this.accounts.get(Number(pid));
+
+		if (!account) {
+			return null;
+		}
+
+		if (!account.key) {
+			account.key = kerberos.deriveKerberosKey(Number(pid), account.password);
+		}
+
+		return account.key;
+	}
+
+	/**
+	 *
+	 * @param {number} pid NEX account PID
+	 * @returns {boolean} True if a password or key is known for the account
+	 */
+	hasAccount(pid) {
+		this.loadPendingFiles();
+
+		return this.accounts.has(Number(pid));
+	}
+
+	/**
+	 * Reads the queued keys files. A file which fails to load stays queued
+	 * with none of its accounts added, so every lookup reports the error
+	 */
+	loadPendingFiles() {
+		while (this.pendingFiles.length !== 0) {
+			const keysFilePath = this.pendingFiles[0];
+			const contents = fs.readFileSync(keysFilePath, { encoding: 'utf-8' });
+			const parsed = new KeyStore();
+
+			parsed.parseKeysFile(contents, keysFilePath);
+
+			for (const [pid, account] of parsed.accounts) {
+				this.accounts.set(pid, account);
+			}
+
+			this.pendingFiles.shift();
+		}
+	}
+
+	/**
+	 *
+	 * @param {string} contents Keys file contents
+	 * @param {string} keysFilePath Path the contents were read from, for errors
+	 */
+	parseKeysFile(contents, keysFilePath) {
+		if (contents.trimStart().startsWith('{')) {
+			throw new Error(`${keysFilePath} is an encrypted keys file. Unlock it with its passphrase instead`);
+		}
+
+		const lines = contents.split(/\r?\n/);
+
+		for (let i = 0; i < lines.length; i++) {
+			const line = lines[i].trim();
+
+			if (!line) {
+				continue;
+			}
+
+			const parts = line.split(':');
+			const pid = parts.shift();
+			const password = parts.join(':'); // * Passwords may contain colons
+
+			try {
+				if (password.length === DERIVED_KEY_LENGTH * 2 && /^[0-9a-fA-F]+$/.test(password)) {
+					this.addDerivedKey(pid, password);
+				} else {
+					this.addAccount(pid, password);
+				}
+			} catch (error) {
+				throw new Error(`${keysFilePath} line ${i + 1}: ${error.message}. Expected PID:PASSWORD`);
+			}
+		}
+	}
+
+	/**
+	 *
+	 * @param {string} contents Keys file contents
+	 * @param {string} passphrase Passphrase to encrypt with
+	 * @returns {string} Encrypted keys file contents
+	 */
+	static encryptKeys(contents, passphrase) {
+		if (!passphrase) {
+			throw new Error('Missing passphrase for the encrypted keys file');
+		}
+
+		const salt = crypto.randomBytes(SALT_LENGTH);
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const key = crypto.scryptSync(passphrase, salt, ENCRYPTION_KEY_LENGTH, KeyStore.scryptOptions(SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION));
+		const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+		const data = Buffer.concat([cipher.update(contents, 'utf-8'), cipher.final()]);
+
+		return JSON.stringify({
+			version: ENCRYPTED_KEYS_FILE_VERSION,
+			kdf: {
+				name: 'scrypt',
+				salt: salt.toString('base64'),
+				N: SCRYPT_COST,
+				r: SCRYPT_BLOCK_SIZE,
+				p: SCRYPT_PARALLELIZATION
+			},
+			cipher: {
+				name: 'aes-256-gcm',
+				iv: iv.toString('base64'),
+				tag: cipher.getAuthTag().toString('base64')
+			},
+			data: data.toString('base64')
+		}, null, '\t') + '\n';
+	}
+
+	/**
+	 *
+	 * @param {string} encrypted Encrypted keys file contents
+	 * @param {string} passphrase Passphrase the file was encrypted with
+	 * @param {string} keysFilePath Path the contents were read from, for errors
+	 * @returns {string} Keys file contents
+	 */
+	static decryptKeys(encrypted, passphrase, keysFilePath) {
+		let file;
+
+		try {
+			file = JSON.parse(encrypted);
+		} catch (error) {
+			throw new Error(`${keysFilePath} is not a valid encrypted keys file: not JSON`);
+		}
+
+		const problem = KeyStore.checkEncryptedKeysFile(file);
+
+		if (problem) {
+			throw new Error(`${keysFilePath} is not a valid encrypted keys file: ${problem}`);
+		}
+
+		const key = crypto.scryptSync(passphrase, Buffer.from(file.kdf.salt, 'base64'), ENCRYPTION_KEY_LENGTH, KeyStore.scryptOptions(file.kdf.N, file.kdf.r, file.kdf.p));
+		const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.cipher.iv, 'base64'));
+
+		decipher.setAuthTag(Buffer.from(file.cipher.tag, 'base64'));
+
+		try {
+			return Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf-8');
+		} catch (error) {
+			throw new Error(`Wrong passphrase for ${keysFilePath}, or the file was modified`);
+		}
+	}
+
+	/**
+	 *
+	 * @param {*} file Parsed encrypted keys file
+	 * @returns {string} What is wrong with the file, or null if it can be decrypted
+	 */
+	static checkEncryptedKeysFile(file) {
+		if (typeof file !== 'object' || file === null) {
+			return 'expected a JSON object';
+		}
+
+		if (file.version !== ENCRYPTED_KEYS_FILE_VERSION) {
+			return `unsupported version ${file.version}`;
+		}
+
+		const { kdf, cipher } = file;
+
+		if (kdf?.name !== 'scrypt') {
+			return `unsupported key derivation ${kdf?.name}`;
+		}
+
+		if (cipher?.name !== 'aes-256-gcm') {
+			return `unsupported cipher ${cipher?.name}`;
+		}
+
+		for (const [name, value] of [['kdf.salt', kdf.salt], ['cipher.iv', cipher.iv], ['cipher.tag', cipher.tag], ['data', file.data]]) {
+			if (typeof value !== 'string' || !BASE64_REGEX.test(value)) {
+				return `${name} is not base64`;
+			}
+		}
+
+		if (Buffer.from(kdf.salt, 'base64').length === 0) {
+			return 'kdf.salt is empty';
+		}
+
+		if (Buffer.from(cipher.iv, 'base64').length !== IV_LENGTH) {
+			return `cipher.iv is not ${IV_LENGTH} bytes`;
+		}
+
+		if (Buffer.from(cipher.tag, 'base64').length !== AUTH_TAG_LENGTH) {
+			return `cipher.tag is not ${AUTH_TAG_LENGTH} bytes`;
+		}
+
+		const { N, r, p } = kdf;
+
+		// * N must be a power of two above 1
+		if (!Number.isInteger(N) || N < 2 || N > MAXIMUM_SCRYPT_COST || (N & (N - 1)) !== 0) {
+			return `kdf.N must be a power of two up to ${MAXIMUM_SCRYPT_COST}`;
+		}
+
+		if (!Number.isInteger(r) || r < 1 || r > MAXIMUM_SCRYPT_BLOCK_SIZE) {
+			return `kdf.r must be between 1 and ${MAXIMUM_SCRYPT_BLOCK_SIZE}`;
+		}
+
+		if (!Number.isInteger(p) || p < 1 || p > MAXIMUM_SCRYPT_PARALLELIZATION) {
+			return `kdf.p must be between 1 and ${MAXIMUM_SCRYPT_PARALLELIZATION}`;
+		}
+
+		if (128 * N * r > MAXIMUM_SCRYPT_MEMORY) {
+			return `kdf.N and kdf.r need more than ${MAXIMUM_SCRYPT_MEMORY / 1024 / 1024}MB of memory`;
+		}
+
+		return null;
+	}
+
+	/**
+	 *
+	 * @param {number} N scrypt CPU/memory cost
+	 * @param {number} r scrypt block size
+	 * @param {number} p scrypt parallelization
+	 * @returns {object} Options for `crypto.scryptSync`, with enough memory allowed for the cost
+	 */
+	static scryptOptions(N, r, p) {
+		return {
+			N,
+			r,
+			p,
+			maxmem: 256 * N * r // * Twice what scrypt needs, Node's default limit is too low for the cost used
+		};
+	}
+
+	/**
+	 * `account.dat` files are `Name=Value` lines. `PrincipalId` is the PID in
+	 * hex and `NfsPassword` is the NEX password
+	 *
+	 * @param {string} contents `account.dat` contents
+	 * @param {string} accountFilePath Path the contents were read from, for errors
+	 * @returns {object} Account `pid` and `password`
+	 */
+	static parseWiiUAccount(contents, accountFilePath) {
+		const fields = {};
+
+		for (const line of contents.split(/\r?\n/)) {
+			const separator = line.indexOf('=');
+
+			if (separator !== -1) {
+				fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+			}
+		}
+
+		if (fields.PrincipalId === undefined) {
+			throw new Error(`${accountFilePath} is not a Wii U account.dat file, it has no PrincipalId field`);
+		}
+
+		if (!/^[0-9a-fA-F]{1,8}$/.test(fields.PrincipalId) || parseInt(fields.PrincipalId, 16) === 0) {
+			throw new Error(`${accountFilePath} has no valid PrincipalId (got "${fields.PrincipalId}"). The account may not be linked to a Nintendo Network ID`);
+		}
+
+		if (!fields.NfsPassword) {
+			throw new Error(`${accountFilePath} has no NfsPassword. Get the NEX password with the proxy server method instead`);
+		}
+
+		return {
+			pid: parseInt(fields.PrincipalId, 16),
+			password: fields.NfsPassword
+		};
+	}
+
+	/**
+	 *
+	 * @param {(string|Buffer)} key Session key, as a buffer or hex string
+	 * @param {string} owner What the key is for, for errors
+	 * @returns {Buffer} Session key
+	 */
+	static parseSessionKey(key, owner) {
+		if (typeof key === 'string') {
+			if (!/^([0-9a-fA-F]{2})+$/.test(key)) {
+				throw new Error(`Session key for ${owner} is not a hex string`);
+			}
+
+			key = Buffer.from(key, 'hex');
+		}
+
+		if (!Buffer.isBuffer(key) || key.length === 0) {
+			throw new Error(`Missing session key for ${owner}`);
+		}
+
+		return key;
+	}
+
+	/**
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @returns {number} PID as a number
+	 */
+	static parsePID(pid) {
+		const parsed = Number(pid);
+
+		if (String(pid).trim() === '' || !Number.isInteger(parsed) || parsed <= 0 || parsed > 0xFFFFFFFF) {
+			throw new Error(`Invalid NEX PID ${pid}`);
+		}
+
+		return parsed;
+	}
+}
+
+module.exports = KeyStore;
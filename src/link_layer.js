@@ -0,0 +1,200 @@
+const Stream = require('./stream');
+
+// * Link-layer header types as written to pcap global headers and pcapng IDBs
+// * https://www.tcpdump.org/linktypes.html
+const LINK_TYPES = {
+	NULL:        0,
+	ETHERNET:    1,
+	RAW_OPENBSD: 14,
+	RAW:         101,
+	LOOP:        108,
+	LINUX_SLL:   113,
+	IPV4:        228,
+	IPV6:        229,
+	LINUX_SLL2:  276
+};
+
+const ETHER_TYPES = {
+	IPV4:        0x0800,
+	IPV6:        0x86DD,
+	VLAN:        0x8100,
+	QINQ:        0x88A8,
+	QINQ_LEGACY: 0x9100
+};
+
+// * 802.1Q and 802.1ad tags. Tags may be stacked on trunk links
+const VLAN_ETHER_TYPES = [
+	ETHER_TYPES.VLAN,
+	ETHER_TYPES.QINQ,
+	ETHER_TYPES.QINQ_LEGACY
+];
+
+// * BSD loopback address families. AF_INET6 differs per OS
+const LOOPBACK_FAMILY_IPV4 = 2;
+const LOOPBACK_FAMILIES_IPV6 = [
+	10, // * Linux
+	24, // * NetBSD, OpenBSD, BSD/OS
+	28, // * FreeBSD, DragonFlyBSD
+	30  // * Darwin
+];
+
+const Decoders = {
+	[LINK_TYPES.NULL]:        decodeLoopback,
+	[LINK_TYPES.ETHERNET]:    decodeEthernet,
+	[LINK_TYPES.RAW_OPENBSD]: decodeRawIP,
+	[LINK_TYPES.RAW]:         decodeRawIP,
+	[LINK_TYPES.LOOP]:        decodeLoopback,
+	[LINK_TYPES.LINUX_SLL]:   decodeLinuxSLL,
+	[LINK_TYPES.IPV4]:        decodeRawIP,
+	[LINK_TYPES.IPV6]:        decodeRawIP,
+	[LINK_TYPES.LINUX_SLL2]:  decodeLinuxSLL2
+};
+
+/**
+ *
+ * @param {number} linkType Link-layer header type of the capture interface
+ * @param {Buffer} frame Raw captured frame
+ * @returns {object} EtherType and network layer payload, or undefined if the frame can not be decoded
+ */
+function decodeFrame(linkType, frame) {
+	const decoder = Decoders[linkType];
+
+	if (!decoder) {
+		return;
+	}
+
+	try {
+		return decoder(new Stream(frame));
+	} catch (error) {
+		// * Frame was truncated inside the link-layer header
+		return;
+	}
+}
+
+/**
+ *
+ * @param {Stream} stream Frame stream
+ * @returns {object} Decoded frame
+ */
+function decodeEthernet(stream) {
+	stream.skip(0xC); // * Skip the ethernet source and destination
+
+	const etherType = stream.readUInt16BE();
+
+	// * Values up to 1500 are 802.3 lengths, not EtherTypes. These are LLC frames
+	if (etherType <= 1500) {
+		return;
+	}
+
+	return decodeEtherTypePayload(etherType, stream);
+}
+
+/**
+ *
+ * @param {Stream} stream Frame stream
+ * @returns {object} Decoded frame
+ */
+function decodeLinuxSLL(stream) {
+	stream.skip(0xE); // * Skip packet type, ARPHRD type, address length and address
+
+	const protocol = stream.readUInt16BE();
+
+	return decodeEtherTypePayload(protocol, stream);
+}
+
+/**
+ *
+ * @param {Stream} stream Frame stream
+ * @returns {object} Decoded frame
+ */
+function decodeLinuxSLL2(stream) {
+	const protocol = stream.readUInt16BE();
+
+	stream.skip(0x12); // * Skip reserved, interface index, ARPHRD type, packet type, address length and address
+
+	return decodeEtherTypePayload(protocol, stream);
+}
+
+/**
+ *
+ * @param {Stream} stream Frame stream
+ * @returns {object} Decoded frame
+ */
+function decodeLoopback(stream) {
+	// * The family is written in the byte order of the capturing host
+	// * for NULL and in network byte order for LOOP. Families are small,
+	// * so whichever half is non-zero tells us the order
+	const familyBytes = stream.readBytes(0x4);
+	let family = familyBytes.readUInt32LE();
+
+	if (family > 0xFFFF) {
+		family = familyBytes.readUInt32BE();
+	}
+
+	if (family === LOOPBACK_FAMILY_IPV4) {
+		return {
+			etherType: ETHER_TYPES.IPV4,
+			payload: stream.readRest()
+		};
+	}
+
+	if (LOOPBACK_FAMILIES_IPV6.includes(family)) {
+		return {
+			etherType: ETHER_TYPES.IPV6,
+			payload: stream.readRest()
+		};
+	}
+}
+
+/**
+ *
+ * @param {Stream} stream Frame stream
+ * @returns {object} Decoded frame
+ */
+function decodeRawIP(stream) {
+	if (!stream.hasDataLeft()) {
+		return;
+	}
+
+	const version = stream.readUInt8() >> 4;
+	stream.skip(-0x1);
+
+	if (version === 4) {
+		return {
+			etherType: ETHER_TYPES.IPV4,
+			payload: stream.readRest()
+		};
+	}
+
+	if (version === 6) {
+		return {
+			etherType: ETHER_TYPES.IPV6,
+			payload: stream.readRest()
+		};
+	}
+}
+
+/**
+ *
+ * @param {number} etherType EtherType read from the link-layer header
+ * @param {Stream} stream Frame stream positioned after the EtherType
+ * @returns {object} Decoded frame
+ */
+function decodeEtherTypePayload(etherType, stream) {
+	// * Strip any number of stacked VLAN tags
+	while (VLAN_ETHER_TYPES.includes(etherType)) {
+		stream.skip(0x2); // * Skip the tag control information
+		etherType = stream.readUInt16BE();
+	}
+
+	return {
+		etherType,
+		payload: stream.readRest()
+	};
+}
+
+module.exports = {
+	LINK_TYPES,
+	ETHER_TYPES,
+	decodeFrame
+};
@@ -1,8 +1,9 @@
 /**
  * @typedef {import('./connection')} Connection
- * @typedef {import('./stream')} Stream
  */
 
+const Stream = require('./stream');
+
 class Packet {
 	static FLAGS = {
 		ACK:       0x001,
@@ -53,9 +54,27 @@ class Packet {
 		this.rmcData = {}; // * Decoded RMC body
 		this.stackTrace; // * Contains possible decoding errors
 		this.date = 0;
+		this.relativeTime = 0; // * Seconds since the first frame in the capture
+		this.deltaTime = 0; // * Seconds since the previous packet on the same connection
+		this.acknowledgement = null; // * Sequence IDs acknowledged by ACK/MULTI_ACK packets
+		this.acknowledgedPackets = []; // * DATA packets covered by this ACK/MULTI_ACK packet
+		this.acknowledgedBy = null; // * ACK/MULTI_ACK packet which covered this DATA packet
+		this.retransmissionOf = null; // * First copy of a retransmitted DATA packet
+		this.retransmissionCount = 0; // * Copies seen so far on the first copy, or which copy this is on retransmissions
+		this.missingSequenceIds = []; // * Reliable DATA sequence IDs given up on right before this packet
+		this.arrivedLate = false; // * Arrived after its sequence ID was given up on, so it was not decrypted
+		this.incompleteMessage = null; // * Set when fragments of the RMC message this packet ends never arrived
+		this.compression = null; // * Compression ratio and payload sizes of zlib compressed PRUDPv0 payloads
+		this.size = 0; // * Bytes the packet took up in the UDP payload
+		this.signatureChecked = false; // * Whether the checksum (PRUDPv0) or signature (PRUDPv1) was checked against the access key
+		this.invalidChecksum = null; // * Expected and calculated checksum (PRUDPv0) or signature (PRUDPv1) of packets kept in lenient mode
 
 		if (this.decode && this.stream) {
+			const start = this.stream.pos();
+
 			this.decode();
+
+			this.size = this.stream.pos() - start;
 		}
 	}
 
@@ -63,18 +82,21 @@ class Packet {
 	 * @returns {object} JSON serialized data
 	 */
 	toJSON() {
+		// * Retransmissions carry the message of the first copy
+		const { rmcMessage, rmcData } = this.retransmissionOf ?? this;
+
 		const serialized = {
 			rawRMC: this.isRawRMC,
 			flags: [],
 			rmc: {
-				protocolName: this.rmcData.protocolName,
-				methodName: this.rmcData.methodName,
-				protocolId: this.rmcMessage.protocolId,
-				customId: this.rmcMessage.customId,
-				methodId: this.rmcMessage.methodId,
-				callId: this.rmcMessage.callId,
-				errorCode: this.rmcMessage.errorCode,
-				body: this.rmcData.body
+				protocolName: rmcData.protocolName,
+				methodName: rmcData.methodName,
+				protocolId: rmcMessage.protocolId,
+				customId: rmcMessage.customId,
+				methodId: rmcMessage.methodId,
+				callId: rmcMessage.callId,
+				errorCode: rmcMessage.errorCode,
+				body: rmcData.body
 			},
 			stackTrace: this.stackTrace
 		};
@@ -84,10 +106,10 @@ class Packet {
 			serialized.type = 'DATA';
 			serialized.fragmentId = 0;
 
-			serialized.rmc.isRequest = this.rmcMessage.isRequest();
+			serialized.rmc.isRequest = rmcMessage.isRequest();
 
 			if (serialized.rmc.isRequest === false) {
-				serialized.rmc.isSuccess = this.rmcMessage.isSuccess();
+				serialized.rmc.isSuccess = rmcMessage.isSuccess();
 			}
 		} else {
 			serialized.version = this.version;
@@ -96,9 +118,12 @@ class Packet {
 			serialized.sessionId = this.sessionId;
 			serialized.signature = this.signature.toString('hex');
 			serialized.sequenceId = this.sequenceId;
+			serialized.substreamId = this.substreamId ?? 0;
 			serialized.fragmentId = this.fragmentId;
 			serialized.checksum = this.checksum;
 			serialized.date = this.date;
+			serialized.relativeTime = this.relativeTime;
+			serialized.deltaTime = this.deltaTime;
 
 			if (this.isToClient()) {
 				serialized.sourceAddress = this.connection.serverAddress;
@@ -120,10 +145,10 @@ class Packet {
 				serialized.type = 'DATA';
 				serialized.fragmentId = this.fragmentId;
 
-				serialized.rmc.isRequest = this.rmcMessage.isRequest();
+				serialized.rmc.isRequest = rmcMessage.isRequest();
 
 				if (serialized.fragmentId === 0 && serialized.rmc.isRequest === false) {
-					serialized.rmc.isSuccess = this.rmcMessage.isSuccess();
+					serialized.rmc.isSuccess = rmcMessage.isSuccess();
 				}
 			}
 
@@ -158,11 +183,115 @@ class Packet {
 			if (this.hasFlagMultiAck()) {
 				serialized.flags.push('MULTI_ACK');
 			}
+
+			if (this.acknowledgement) {
+				serialized.acknowledgement = {
+					substreamId: this.acknowledgement.substreamId,
+					baseSequenceId: this.acknowledgement.baseSequenceId,
+					sequenceIds: this.acknowledgement.sequenceIds,
+					acknowledgedSequenceIds: this.acknowledgedPackets.map(packet => packet.sequenceId)
+				};
+			}
+
+			if (this.retransmissionOf) {
+				serialized.retransmission = {
+					count: this.retransmissionCount,
+					timeSinceOriginal: this.relativeTime - this.retransmissionOf.relativeTime
+				};
+			} else if (this.retransmissionCount !== 0) {
+				serialized.retransmissions = this.retransmissionCount;
+			}
+
+			if (this.missingSequenceIds.length !== 0) {
+				serialized.missingSequenceIds = this.missingSequenceIds;
+			}
+
+			if (this.arrivedLate) {
+				serialized.arrivedLate = true;
+			}
+
+			if (this.incompleteMessage) {
+				serialized.incompleteMessage = this.incompleteMessage;
+			}
+
+			if (this.compression) {
+				serialized.compression = this.compression;
+			}
+
+			if (this.invalidChecksum) {
+				serialized.invalidChecksum = this.invalidChecksum;
+			}
+
+			if (this.acknowledgedBy) {
+				serialized.acknowledgedBy = {
+					sequenceId: this.acknowledgedBy.sequenceId,
+					relativeTime: this.acknowledgedBy.relativeTime,
+					delay: this.acknowledgedBy.relativeTime - this.relativeTime
+				};
+			}
 		}
 
 		return serialized;
 	}
 
+	/**
+	 * Reads which sequence IDs an ACK or MULTI_ACK packet acknowledges.
+	 * Plain ACKs acknowledge their own sequence ID. Aggregate acks acknowledge
+	 * every sequence ID up to and including the base sequence ID, plus a list of extra ones
+	 *
+	 * @param {boolean} hasSubstreamHeader True if the aggregate ack payload starts with the substream ID and extra sequence ID count (PRUDPv1 minor version 2+)
+	 */
+	decodeAcknowledgement(hasSubstreamHeader) {
+		if (!this.hasFlagMultiAck()) {
+			this.acknowledgement = {
+				substreamId: this.substreamId ?? 0,
+				baseSequenceId: null,
+				sequenceIds: [this.sequenceId]
+			};
+
+			return;
+		}
+
+		const stream = new Stream(this.payload);
+		let substreamId = 0;
+		let baseSequenceId;
+		const sequenceIds = [];
+
+		if (hasSubstreamHeader) {
+			if (this.payload.length < 4) {
+				throw new Error(`Aggregate ack payload too short. Expected at least 4 bytes, got ${this.payload.length}`);
+			}
+
+			substreamId = stream.readUInt8();
+			const count = stream.readUInt8();
+			baseSequenceId = stream.readUInt16LE();
+
+			if (stream.remaining() !== count * 2) {
+				throw new Error(`Invalid aggregate ack payload. Expected ${count} extra sequence IDs, got ${stream.remaining()} bytes`);
+			}
+
+			for (let i = 0; i < count; i++) {
+				sequenceIds.push(stream.readUInt16LE());
+			}
+		} else {
+			if (this.payload.length < 2 || this.payload.length % 2 !== 0) {
+				throw new Error(`Invalid aggregate ack payload. Expected a list of sequence IDs, got ${this.payload.length} bytes`);
+			}
+
+			baseSequenceId = stream.readUInt16LE();
+
+			while (stream.hasDataLeft()) {
+				sequenceIds.push(stream.readUInt16LE());
+			}
+		}
+
+		this.acknowledgement = {
+			substreamId,
+			baseSequenceId,
+			sequenceIds
+		};
+	}
+
 	/**
 	 *
 	 * @param {number} type NEX packet type
@@ -56,8 +56,9 @@ class PacketV0 extends Packet {
 			throw new Error(`Invalid packet type. Expected 1-4, got ${this.type}`);
 		}
 
-		if (this.flags > 15) {
-			throw new Error(`Invalid packet flags. Expected 0-15, got ${this.flags}`);
+		// * Aggregate acks use MULTI_ACK on top of the 4 normal flags
+		if ((this.flags & ~Packet.FLAGS.MULTI_ACK) > 15) {
+			throw new Error(`Invalid packet flags. Expected 0-15 or MULTI_ACK, got ${this.flags}`);
 		}
 
 		this.sessionId = this.stream.readUInt8();
@@ -94,20 +95,24 @@ class PacketV0 extends Packet {
 
 		this.checksum = this.stream.readUInt8();
 
-		if (this.isSyn() && this.isToServer()) {
-			if (!this.connection.isSecureServer) {
-				this.connection.reset();
-			} else {
-				this.connection.serverConnectionSignature = Buffer.alloc(0);
-				this.connection.clientConnectionSignature = Buffer.alloc(0);
-			}
-		}
+		// * Client SYN packets to the authentication server start the connection
+		// * over, and the access key is looked for again. See `Connection.updateSession`
+		const restartsConnection = this.isSyn() && this.isToServer() && !this.connection.isSecureServer;
+
+		if (this.connection.accessKey && !restartsConnection) {
+			this.signatureChecked = true;
 
-		if (this.connection.accessKey) {
 			// * Found access key, can now check packet checksum
 			const calculatedChecksum = this.calculateChecksum();
 			if (calculatedChecksum !== this.checksum) {
-				throw new Error(`Invalid PRUDPv0 packet checksum. Expected ${this.checksum}, got ${calculatedChecksum}`);
+				if (!this.connection.options.lenient) {
+					throw new Error(`Invalid PRUDPv0 packet checksum. Expected ${this.checksum}, got ${calculatedChecksum}`);
+				}
+
+				this.invalidChecksum = {
+					expected: this.checksum,
+					calculated: calculatedChecksum
+				};
 			}
 		}
 	}
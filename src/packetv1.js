@@ -76,26 +76,39 @@ class PacketV1 extends Packet {
 		this.sequenceId = this.headerStream.readUInt16LE();
 
 		this.signature = this.stream.readBytes(0x10);
+
+		if (packetSpecificDataLength + payloadSize > this.stream.remaining()) {
+			throw new Error(`Packet payload too large. Space left is ${this.stream.remaining()}, got ${packetSpecificDataLength} bytes of packet specific data and ${payloadSize} bytes of payload`);
+		}
+
 		this.packetSpecificData = this.stream.readBytes(packetSpecificDataLength);
 
 		this.parsePacketSpecificData();
 
 		this.payload = this.stream.readBytes(payloadSize);
 
-		if (this.isSyn() && this.isToServer()) {
-			if (!this.connection.isSecureServer) {
-				this.connection.reset();
-			} else {
-				this.connection.serverConnectionSignature = Buffer.alloc(0);
-				this.connection.clientConnectionSignature = Buffer.alloc(0);
-			}
-		}
+		// * Client SYN packets to the authentication server start the connection
+		// * over, and the access key is looked for again. See `Connection.updateSession`
+		const restartsConnection = this.isSyn() && this.isToServer() && !this.connection.isSecureServer;
+
+		// * DATA signatures include the session key, which may be one of the
+		// * supplied ones that is only picked once the first DATA packet is decrypted
+		const awaitingSessionKey = this.isData() && this.connection.awaitingSessionKey();
+
+		if (this.connection.accessKey && !restartsConnection && !awaitingSessionKey) {
+			this.signatureChecked = true;
 
-		if (this.connection.accessKey) {
 			// * Found access key, can now check packet signature
 			const calculatedSignature = this.calculateSignature();
 			if (!calculatedSignature.equals(this.signature)) {
-				throw new Error(`Invalid PRUDPv1 packet signature. Expected ${this.signature}, got ${calculatedSignature}`);
+				if (!this.connection.options.lenient) {
+					throw new Error(`Invalid PRUDPv1 packet signature. Expected ${this.signature}, got ${calculatedSignature}`);
+				}
+
+				this.invalidChecksum = {
+					expected: this.signature.toString('hex'),
+					calculated: calculatedSignature.toString('hex')
+				};
 			}
 		}
 	}
@@ -160,7 +173,10 @@ class PacketV1 extends Packet {
 			accessKeySum.writeUInt32LE(accessKeySumInt);
 		}
 
-		if (this.isToServer()) {
+		if (this.isSyn()) {
+			// * SYN packets are sent before the connection signatures are swapped
+			connectionSignature = Buffer.alloc(0);
+		} else if (this.isToServer()) {
 			// * client->server packet
 			// * Verify using the *SERVER* connection signature
 			connectionSignature = this.connection.serverConnectionSignature;
@@ -1,37 +1,84 @@
+/**
+ * @typedef {import('./packet')} Packet
+ * @typedef {import('./packetv0')} PacketV0
+ * @typedef {import('./packetv1')} PacketV1
+ */
+
 const EventEmitter = require('node:events');
-const path = require('node:path');
-const fs = require('fs');
-const PCAPNGParser = require('pcap-ng-parser');
-const pcapp = require('pcap-parser');
-const isPrivateIP = require('private-ip');
-const PacketV0 = require('./packetv0');
-const PacketV1 = require('./packetv1');
 const Connection = require('./connection');
+const Session = require('./session');
+const { openCapture } = require('./capture');
+const CaptureParser = require('./capture_parser');
+const PreciseDate = require('./precise_date');
+const FileFollower = require('./file_follower');
+const IPReassembler = require('./ip_reassembler');
+const DirectionResolver = require('./direction_resolver');
+const PRUDPClassifier = require('./prudp_classifier');
+const KeyStore = require('./key_store');
 const Authentication = require('./protocols/authentication');
 const Stream = require('./stream');
-
-// ! NOTE -
-// ! PRUDPv0 does not have magics
-// ! Nintendo uses standardized source/destinations with NEX
-// ! Checking the source/destination can tell us if it's v0
-const PRUDP_V1_MAGIC = Buffer.from([0xEA, 0xD0]);
-
-// * Magics to check for when parsing UDP packets
-const XID_MAGIC = Buffer.from([0x81, 0x01, 0x0]);
+const { formatAddress } = require('./util');
+const { LINK_TYPES, ETHER_TYPES, decodeFrame } = require('./link_layer');
+
+const IP_PROTOCOL_UDP = 0x11;
+
+// * IPv6 extension headers which may sit between the fixed header and the UDP header
+const IPV6_HEADER_HOP_BY_HOP = 0;
+const IPV6_HEADER_ROUTING = 43;
+const IPV6_HEADER_FRAGMENT = 44;
+const IPV6_HEADER_ESP = 50;
+const IPV6_HEADER_AUTHENTICATION = 51;
+const IPV6_HEADER_NO_NEXT_HEADER = 59;
+const IPV6_HEADER_DESTINATION_OPTIONS = 60;
+const IPV6_HEADER_MOBILITY = 135;
+const IPV6_HEADER_HIP = 139;
+const IPV6_HEADER_SHIM6 = 140;
+
+const IPV6_EXTENSION_HEADERS = [
+	IPV6_HEADER_HOP_BY_HOP,
+	IPV6_HEADER_ROUTING,
+	IPV6_HEADER_FRAGMENT,
+	IPV6_HEADER_ESP,
+	IPV6_HEADER_AUTHENTICATION,
+	IPV6_HEADER_DESTINATION_OPTIONS,
+	IPV6_HEADER_MOBILITY,
+	IPV6_HEADER_HIP,
+	IPV6_HEADER_SHIM6
+];
 
 class NEXParser extends EventEmitter {
-	constructor() {
+	/**
+	 *
+	 * @param {object} [options] Parser options
+	 * @param {Array<(string|number)>} [options.serverAddresses] Addresses and/or ports of known NEX servers. Used to tell client and server apart when both are on the same network. See `DirectionResolver`
+	 * @param {number} [options.reorderWindow] Reliable DATA packets to hold while waiting for a missing sequence ID
+	 * @param {number} [options.fragmentTimeout] Seconds to wait for the missing fragments of an RMC message
+	 * @param {number} [options.idleTimeout] Seconds without packets before a session is considered timed out
+	 * @param {boolean} [options.lenient] Keep packets with invalid checksums/signatures
+	 * @param {KeyStore} [options.keyStore] Kerberos keys of NEX accounts. Defaults to an empty store, see `addAccount`, `addDerivedKey`, `loadKeysFile` and `unlockKeysFile`
+	 */
+	constructor(options = {}) {
 		super();
 
+		this.options = options;
+		this.keyStore = options.keyStore || new KeyStore();
+
 		this.connections = [];
 		this.rawRMCMode = false;
 		this.rawRMCPackets = [];
-		this.rawRMCDummyConnection = new Connection(); // * Used for creating fake packets
-		this.rawRMCAuthenticationConnection = new Connection(); // * Used to store packets to the authentication server
+		this.rawRMCDummyConnection = new Connection(undefined, this.connectionOptions()); // * Used for creating fake packets
+		this.rawRMCAuthenticationConnection = new Connection(undefined, this.connectionOptions()); // * Used to store packets to the authentication server
 		this.rawRMCAuthenticationConnection.discriminator = 'authentication';
-		this.rawRMCSecureConnection = new Connection(); // * Used to store packets to the secure server
+		this.rawRMCSecureConnection = new Connection(undefined, this.connectionOptions()); // * Used to store packets to the secure server
 		this.rawRMCSecureConnection.isSecureServer = true;
 		this.rawRMCSecureConnection.discriminator = 'secure';
+
+		this.ipReassembler = new IPReassembler();
+		this.firstTimestamp = null; // * Nanosecond timestamp of the first captured frame, for relative times
+		this.directionResolver = new DirectionResolver({
+			serverAddresses: options.serverAddresses
+		});
+		this.classifier = new PRUDPClassifier();
 	}
 
 	setRawRMCMode(enabled) {
@@ -39,33 +86,353 @@ class NEXParser extends EventEmitter {
 	}
 
 	/**
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {string} password NEX account password
+	 */
+	addAccount(pid, password) {
+		this.keyStore.addAccount(pid, password);
+	}
+
+	/**
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {(string|Buffer)} key Kerberos key already derived from the password, as a buffer or hex string
+	 */
+	addDerivedKey(pid, key) {
+		this.keyStore.addDerivedKey(pid, key);
+	}
+
+	/**
+	 * Sets the session key for the secure server connections of an account, for
+	 * captures which do not include the login or when the NEX password is not known
+	 *
+	 * @param {(number|string)} pid NEX account PID
+	 * @param {(string|Buffer)} key Session key, as a buffer or hex string
+	 */
+	addSessionKey(pid, key) {
+		this.keyStore.addSessionKey(pid, key);
+	}
+
+	/**
+	 * Sets the session key for one secure server connection
+	 *
+	 * @param {string} discriminator Connection discriminator, the `address:port` of the server
+	 * @param {(string|Buffer)} key Session key, as a buffer or hex string
+	 */
+	addConnectionSessionKey(discriminator, key) {
+		this.keyStore.addConnectionSessionKey(discriminator, key);
+	}
+
+	/**
+	 * Imports the NEX account of a Wii U `account.dat` file
+	 *
+	 * @param {string} accountFilePath Path to the `account.dat` file
+	 * @returns {object} Imported account `pid` and derived `key`
+	 */
+	importWiiUAccount(accountFilePath) {
+		return this.keyStore.importWiiUAccount(accountFilePath);
+	}
+
+	/**
+	 * Imports the NEX accounts in the `nex-keys.txt` file written by the 3DS homebrew
+	 *
+	 * @param {string} keysFilePath Path to the `nex-keys.txt` file
+	 * @returns {Array<object>} Imported accounts `pid` and derived `key`
+	 */
+	import3DSKeys(keysFilePath) {
+		return this.keyStore.import3DSKeys(keysFilePath);
+	}
+
+	/**
+	 * Adds the accounts in a `nex-keys.txt` file. The file is read the first time a key is needed
+	 *
+	 * @param {string} keysFilePath Path to the keys file
+	 */
+	loadKeysFile(keysFilePath) {
+		this.keyStore.loadKeysFile(keysFilePath);
+	}
+
+	/**
+	 * Writes every account to a keys file with derived keys in place of passwords
+	 *
+	 * @param {string} keysFilePath Path to write the keys file to
+	 */
+	writeKeysFile(keysFilePath) {
+		this.keyStore.writeKeysFile(keysFilePath);
+	}
+
+	/**
+	 * Adds the accounts in a passphrase protected keys file. Throws if the passphrase is wrong
+	 *
+	 * @param {string} keysFilePath Path to the encrypted keys file
+	 * @param {string} passphrase Passphrase the file was encrypted with
+	 */
+	unlockKeysFile(keysFilePath, passphrase) {
+		this.keyStore.unlockKeysFile(keysFilePath, passphrase);
+	}
+
+	/**
+	 * Writes every account to a passphrase protected keys file
+	 *
+	 * @param {string} keysFilePath Path to write the encrypted keys file to
+	 * @param {string} passphrase Passphrase to encrypt the file with
+	 */
+	writeEncryptedKeysFile(keysFilePath, passphrase) {
+		this.keyStore.writeEncryptedKeysFile(keysFilePath, passphrase);
+	}
+
+	/**
+	 * Parses a capture, emitting `packet` events as packets are decoded
+	 * and `connections` once done. Problems reading the capture are emitted
+	 * as `error` events, which must have a listener or they are thrown as
+	 * uncaught exceptions. See `parseFile` and `packets` for APIs which handle
+	 * them. Frames which cannot be decoded are emitted as `discarded` events.
+	 * pcap and pcapng captures are told apart by their magic number
+	 *
+	 * @param {(string|Buffer|import('stream').Readable)} input Path to the PCAP(NG) capture file, the capture data, or a stream of it
+	 */
+	parse(input) {
+		this.parseCaptures([input]);
+	}
+
+	/**
+	 * Parses several captures one after the other as one capture, such as the files
+	 * of a ring buffer capture. Connections, sessions and keys carry over from one
+	 * capture to the next, so a login in one capture decrypts the secure server
+	 * traffic in the next. `connections` is emitted once the last capture is done
+	 *
+	 * @param {Array<(string|Buffer|import('stream').Readable)>} inputs Captures in the order they were captured
+	 */
+	parseCaptures(inputs) {
+		const [input, ...remaining] = inputs;
+		let stream;
+
+		try {
+			if (inputs.length === 0) {
+				throw new Error('No captures to parse');
+			}
+
+			stream = openCapture(input);
+		} catch (error) {
+			// * Give the caller a chance to add an error listener
+			process.nextTick(() => this.handleError(error));
+			return;
+		}
+
+		this.captureStream = stream;
+
+		stream
+			.on('error', this.handleError.bind(this)) // * pipe does not forward errors
+			.pipe(new CaptureParser()) // * Each capture has its own headers and link types
+			.on('data', this.handleRawPacket.bind(this))
+			.on('truncated', raw => this.discard(raw, null, 0, ['Capture ends partway through a record']))
+			.on('error', this.handleError.bind(this))
+			.on('end', () => {
+				if (remaining.length !== 0) {
+					// * Sessions may carry on into the next capture, so nothing is flushed yet
+					this.parseCaptures(remaining);
+				} else {
+					this.parserEnd();
+				}
+			});
+	}
+
+	/**
+	 * Parses a capture file which is still being written, such as a live
+	 * capture. Packets are emitted as they are appended to the file, and
+	 * `connection` events as new connections are found. Call `stopFollowing`
+	 * to finish, which emits `connections` like a normal parse
 	 *
 	 * @param {string} capturePath Path to the PCAP(NG) capture file
+	 * @param {object} [options] Follow options
+	 * @param {number} [options.pollInterval] Milliseconds between checks for new data at the end of the file
 	 */
-	parse(capturePath) {
-		const extension = path.extname(capturePath);
+	follow(capturePath, options = {}) {
+		this.parse(new FileFollower(capturePath, options));
+	}
 
-		if (extension !== '.pcapng' && extension !== '.pcap') {
-			throw new Error(`Invalid file type. Got ${extension}, expected .pcapng or .pcap`);
+	/**
+	 * Stops following the capture file started with `follow`
+	 */
+	stopFollowing() {
+		if (this.captureStream instanceof FileFollower) {
+			this.captureStream.stop();
 		}
+	}
 
-		if (extension === '.pcapng') {
-			const pcapNgParser = new PCAPNGParser();
-			fs.createReadStream(capturePath)
-				.pipe(pcapNgParser)
-				.on('data', this.handlePacket.bind(this))
-				.on('close', this.parserEnd.bind(this));
-		} else {
-			const parser = pcapp.parse(capturePath);
-			parser.on('packet', this.handlePacket.bind(this));
-			parser.on('end', this.parserEnd.bind(this));
+	/**
+	 *
+	 * @param {(string|Buffer|import('stream').Readable)} capturePath Path to the PCAP(NG) capture file, the capture data, or a stream of it
+	 * @returns {Promise<Array<Connection>>} Connections found in the capture
+	 */
+	parseFile(capturePath) {
+		return this.parseFiles([capturePath]);
+	}
+
+	/**
+	 * Parses several captures as one, see `parseCaptures`
+	 *
+	 * @param {Array<(string|Buffer|import('stream').Readable)>} capturePaths Captures in the order they were captured
+	 * @returns {Promise<Array<Connection>>} Connections found in the captures
+	 */
+	parseFiles(capturePaths) {
+		return new Promise((resolve, reject) => {
+			const cleanup = () => {
+				this.removeListener('connections', onConnections);
+				this.removeListener('error', onError);
+			};
+
+			const onConnections = connections => {
+				cleanup();
+				resolve(connections);
+			};
+
+			const onError = error => {
+				cleanup();
+				reject(error);
+			};
+
+			this.on('connections', onConnections);
+			this.on('error', onError);
+
+			this.parseCaptures(capturePaths);
+		});
+	}
+
+	/**
+	 * Parses a capture, yielding packets as they are decoded
+	 *
+	 * @param {(string|Buffer|import('stream').Readable)} input Path to the PCAP(NG) capture file, the capture data, or a stream of it
+	 * @yields {(Packet|PacketV0|PacketV1)} Decoded packets
+	 */
+	async *packets(input) {
+		const queue = [];
+		let done = false;
+		let failure;
+		let wake;
+
+		const onPacket = packet => {
+			queue.push(packet);
+			wake?.();
+		};
+
+		const onConnections = () => {
+			done = true;
+			wake?.();
+		};
+
+		const onError = error => {
+			failure = error;
+			wake?.();
+		};
+
+		this.on('packet', onPacket);
+		this.on('connections', onConnections);
+		this.on('error', onError);
+
+		this.parse(input);
+
+		try {
+			while (true) {
+				if (queue.length !== 0) {
+					yield queue.shift();
+				} else if (failure) {
+					throw failure;
+				} else if (done) {
+					return;
+				} else {
+					await new Promise(resolve => wake = resolve);
+					wake = undefined;
+				}
+			}
+		} finally {
+			this.removeListener('packet', onPacket);
+			this.removeListener('connections', onConnections);
+			this.removeListener('error', onError);
+
+			if (!done) {
+				// * Consumer stopped early, no need to keep reading
+				this.captureStream?.destroy();
+			}
 		}
 	}
 
+	/**
+	 * Stops the current capture and reports the error
+	 *
+	 * @param {Error} error Error raised while reading or decoding the capture
+	 */
+	handleError(error) {
+		this.captureStream?.destroy();
+		this.emit('error', error);
+	}
+
+	/**
+	 *
+	 * @param {object} raw Captured packet as output by `CaptureParser`
+	 */
+	handleRawPacket(raw) {
+		// * Errors thrown while decoding would otherwise escape through the
+		// * capture stream's event handlers as uncaught exceptions. One bad
+		// * frame, such as one cut short by the snapshot length, only loses itself
+		try {
+			this.handlePacket(raw);
+		} catch (error) {
+			this.discard(raw, null, 0, [error.message]);
+		}
+	}
+
+	/**
+	 * Reports a frame which was not treated as PRUDP
+	 *
+	 * @param {object} raw Captured packet as output by `CaptureParser`
+	 * @param {object} [udpPacket] UDP packet carved out of the frame, if it got that far
+	 * @param {number} score Classifier score of the UDP payload
+	 * @param {Array<string>} reasons Why the frame was discarded
+	 */
+	discard(raw, udpPacket, score, reasons) {
+		this.emit('discarded', {
+			date: new PreciseDate(raw.timestamp),
+			relativeTime: Number(raw.timestamp - (this.firstTimestamp ?? raw.timestamp)) / 1e9,
+			source: udpPacket ? formatAddress(udpPacket.source, udpPacket.sourcePort) : null,
+			destination: udpPacket ? formatAddress(udpPacket.destination, udpPacket.destinationPort) : null,
+			size: udpPacket ? udpPacket.payload.length : raw.data.length,
+			score,
+			reasons
+		});
+	}
+
+	/**
+	 *
+	 * @returns {object} Options for new connections
+	 */
+	connectionOptions() {
+		return {
+			reorderWindow: this.options.reorderWindow,
+			fragmentTimeout: this.options.fragmentTimeout,
+			idleTimeout: this.options.idleTimeout,
+			lenient: this.options.lenient,
+			keyStore: this.keyStore
+		};
+	}
+
 	/**
 	 * Ran when the pcap(ng) parser is finished
 	 */
 	parserEnd() {
+		// * No more packets are coming, stop waiting for missing ones
+		for (const connection of this.connections) {
+			const handledPackets = connection.flush();
+
+			connection.closeSession(Session.CLOSE_REASONS.CAPTURE_END);
+			this.checkSecureServer(connection);
+
+			for (const handledPacket of handledPackets) {
+				this.emit('packet', handledPacket);
+			}
+		}
+
 		if (this.rawRMCMode) {
 			this.connections = [
 				this.rawRMCAuthenticationConnection,
@@ -78,7 +445,7 @@ class NEXParser extends EventEmitter {
 
 	/**
 	 *
-	 * @param {object} raw Raw WireShark packet as parsed by `pcap-ng-parser`
+	 * @param {object} raw Captured packet as output by `CaptureParser`
 	 */
 	handlePacket(raw) {
 		if (this.rawRMCMode) {
@@ -86,169 +453,140 @@ class NEXParser extends EventEmitter {
 			return;
 		}
 
-		const { header, data: frame } = raw;
+		const { data: frame } = raw;
+
+		if (this.firstTimestamp === null) {
+			this.firstTimestamp = raw.timestamp;
+		}
 
-		const udpPacket = this.parseUDPPacket(frame);
-		let timestamp = 0;
+		const timestamp = Number(raw.timestamp) / 1e9;
+		const udpPacket = this.parseUDPPacket(frame, raw.linkType, timestamp);
 
 		if (!udpPacket) {
 			return;
 		}
 
-		// * pcap-ng-parser and pcap-parser encode the timestamp data differently
-		if (!header) {
-			timestamp = (Number(BigInt(raw.timestampHigh) << 32n | BigInt(raw.timestampLow))/1000000);
-		} else {
-			timestamp = header.timestampSeconds;
-		}
-
-		// TODO - ON RARE OCCASIONS UDP PACKETS WHICH ARE NOT NEX BUT HAVE THE SAME HEADERS GET THROUGH
-		// ! FIND A WAY TO GET RID OF THESE
-		// ? For example, the following packet is an XID broadcast packet
-		// * 0000   ff ff ff ff ff ff fe e6 bf 25 b3 cd 00 06 00 01
-		// * 0010   af 81 01 00 40 00 15 11 1e cd 34 26 51 eb c0 a8
-		// * 0020   00 0d e9 fd f3 28 00 26 2e 52 ea d0 01 00 0f 16
-		// * 0030   53 c0 88 42 e9 00 c2 00 1a 5c 1a 52
-		// ? When decoded this packet has byte 24 set to 0x11 indicating a UDP packet
-		// ? Bytes 42-45 are also set to ea:d0:01, which just so happens to be the PRUDPv1 magic
-		// ? This packet gets treated as a PRUDPv1 packet as a result, even though it is not
-
 		let discriminator;
 		let clientAddress;
 		let serverAddress;
-		if (isPrivateIP(udpPacket.source)) {
+		if (this.directionResolver.isToServer(udpPacket)) {
 			// * client->server packet
-			discriminator = `${udpPacket.destination}:${udpPacket.destinationPort}`;
-			clientAddress = `${udpPacket.source}:${udpPacket.sourcePort}`;
+			discriminator = formatAddress(udpPacket.destination, udpPacket.destinationPort);
+			clientAddress = formatAddress(udpPacket.source, udpPacket.sourcePort);
 			serverAddress = discriminator;
 		} else {
 			// * server->client packet
-			discriminator = `${udpPacket.source}:${udpPacket.sourcePort}`;
-			clientAddress = `${udpPacket.destination}:${udpPacket.destinationPort}`;
+			discriminator = formatAddress(udpPacket.source, udpPacket.sourcePort);
+			clientAddress = formatAddress(udpPacket.destination, udpPacket.destinationPort);
 			serverAddress = discriminator;
 		}
 
-		// * Find the latest connection to avoid broken packets
-		// * when disconnecting and reconnecting to the same server.
-		let connection = this.connections.findLast(connection => connection.discriminator === discriminator);
+		// * Reconnects to the same server become new sessions on the same connection
+		let connection = this.connections.find(connection => connection.discriminator === discriminator);
 
 		let newConnection = false;
 		if (!connection) {
-			connection = new Connection(discriminator);
+			connection = new Connection(discriminator, this.connectionOptions());
 			connection.clientAddress = clientAddress;
 			connection.serverAddress = serverAddress;
 
 			newConnection = true;
 		}
 
-		const stream = new Stream(udpPacket.payload);
-
-		// * PRUDP may send multiple packets in a single UDP packet, so we read the UDP payload recursively
-		while (stream.hasDataLeft()) {
-			let packet;
-
-			const magic = stream.readBytes(0x2);
-			stream.skip(-0x2);
+		// * PRUDP may send multiple packets in a single UDP packet. Every packet
+		// * in the datagram is decoded up front to work out the PRUDP version
+		const classification = this.classifier.classify(udpPacket.payload, connection);
 
-			if (magic.equals(PRUDP_V1_MAGIC)) {
-				try {
-					packet = new PacketV1(connection, stream);
-				} catch (error) {
-					stream.readRest(); // * Dispose of the rest of the data in the stream
-					return;
-				}
-			} else {
-				// * Assume packet is v0 and just Try It
-				try {
-					// * THIS IS *EXPECTED* TO FAIL OFTEN!
-					// * PRUDPv0 DOES NOT HAVE A MAGIC LIKE v1!
-					// * OUR BEST OPTION IS TO GUESS
-					packet = new PacketV0(connection, stream);
-				} catch (error) {
-					stream.readRest(); // * Dispose of the rest of the data in the stream
-					return;
-				}
-			}
+		if (classification.packets.length === 0) {
+			this.discard(raw, udpPacket, classification.score, classification.reasons);
+			return;
+		}
 
-			if (packet.isSyn()) {
-				if (packet.isToClient() && !connection.doneClientSyn) {
-					// * SYN packet from the server without seeing one from the client yet
-					return;
+		for (const packet of classification.packets) {
+			packet.date = new PreciseDate(raw.timestamp);
+			packet.relativeTime = Number(raw.timestamp - this.firstTimestamp) / 1e9;
+
+			if (!connection.updateSession(packet)) {
+				// * Packet does not fit the state of the session, such as a SYN
+				// * from the server without seeing one from the client yet.
+				// * The other packets in the datagram may still fit
+				if (connection.session?.closeReason === Session.CLOSE_REASONS.TIMEOUT) {
+					// * Still talking after the idle timeout means the timeout is too short
+					this.discard(raw, udpPacket, classification.score, ['Session closed (idle timeout)']);
 				}
 
-				if (packet.isToServer()) {
-					connection.doneClientSyn = true;
-				}
+				continue;
+			}
 
-				if (packet.isToClient()) {
-					connection.doneServerSyn = true;
-				}
+			// * Add conenctions after packet validation
+			if (newConnection) {
+				this.connections.push(connection);
+				this.emit('connection', connection);
+				newConnection = false;
 			}
 
-			if (packet.isConnect()) {
-				if (!connection.doneClientSyn || !connection.doneServerSyn) {
-					// * CONNECT packet without completing the SYN sequence
-					return;
-				}
+			if (connection.lastPacketTimestamp !== null) {
+				packet.deltaTime = Number(raw.timestamp - connection.lastPacketTimestamp) / 1e9;
+			}
 
-				if (packet.isToServer()) {
-					connection.doneClientConnect = true;
-				}
+			connection.lastPacketTimestamp = raw.timestamp;
 
-				if (packet.isToClient()) {
-					connection.doneServerConnect = true;
-				}
-			}
+			// * Reliable DATA packets may be held back until earlier sequence IDs arrive
+			const handledPackets = connection.handlePacket(packet);
 
-			if (packet.isData()) {
-				if (!connection.doneClientConnect || !connection.doneServerConnect) {
-					// * DATA packet without completing the CONNECT sequence
-					return;
-				}
-			}
+			this.checkSecureServer(connection);
 
-			// * Add conenctions after packet validation
-			if (newConnection) {
-				this.connections.push(connection);
-				this.emit('connection', connection);
+			for (const handledPacket of handledPackets) {
+				this.emit('packet', handledPacket);
 			}
+		}
+	}
 
-			connection.handlePacket(packet);
+	/**
+	 * Sets up the secure server connection once the authentication server hands out its address
+	 *
+	 * @param {Connection} connection NEX connection
+	 */
+	checkSecureServer(connection) {
+		if (connection.secureServerStationURL && connection.checkForSecureServer) {
+			const secureIP = connection.secureServerStationURL.address;
+			const securePort = connection.secureServerStationURL.port;
+			const secureDiscriminator = formatAddress(secureIP, securePort);
 
-			if (connection.secureServerStationURL && connection.checkForSecureServer) {
-				const secureIP = connection.secureServerStationURL.address;
-				const securePort = connection.secureServerStationURL.port;
-				const secureDiscriminator = `${secureIP}:${securePort}`;
+			// * The secure server is a server no matter which network it is on
+			this.directionResolver.addServer(secureIP, securePort);
 
-				if (connection.discriminator !== secureDiscriminator) {
-					// * Secure server on different address, make a new connection
-					const secureConnection = new Connection(secureDiscriminator);
+			if (connection.discriminator !== secureDiscriminator) {
+				// * Secure server on different address. Logging in again reuses the
+				// * connection from the last login, the reconnect becomes a new session
+				let secureConnection = this.connections.find(connection => connection.discriminator === secureDiscriminator);
 
-					secureConnection.setRC4Key(connection.sessionKey);
-					secureConnection.accessKey = connection.accessKey;
-					secureConnection.accessKeySum = connection.accessKeySum;
-					secureConnection.signatureKey = connection.signatureKey;
-					secureConnection.sessionKey = connection.sessionKey;
-					secureConnection.prudpVersion = connection.prudpVersion;
-					secureConnection.title = connection.title;
-					secureConnection.isSecureServer = true;
+				if (!secureConnection) {
+					secureConnection = new Connection(secureDiscriminator, this.connectionOptions());
 
 					secureConnection.clientAddress = connection.clientAddress;
 					secureConnection.serverAddress = secureDiscriminator;
 
 					this.connections.push(secureConnection);
-				} else {
-					// * Secure server is at the same address, just update key
-					connection.isSecureServer = true;
-					connection.setRC4Key(connection.sessionKey);
+					this.emit('connection', secureConnection);
 				}
 
-				connection.checkForSecureServer = false;
+				secureConnection.setRC4Key(connection.sessionKey);
+				secureConnection.accessKey = connection.accessKey;
+				secureConnection.accessKeySum = connection.accessKeySum;
+				secureConnection.signatureKey = connection.signatureKey;
+				secureConnection.sessionKey = connection.sessionKey;
+				secureConnection.prudpVersion = connection.prudpVersion;
+				secureConnection.title = connection.title;
+				secureConnection.clientPID = connection.clientPID;
+				secureConnection.isSecureServer = true;
+			} else {
+				// * Secure server is at the same address, just update key
+				connection.isSecureServer = true;
+				connection.setRC4Key(connection.sessionKey);
 			}
 
-			packet.date = new Date(timestamp * 1000);
-
-			this.emit('packet', packet);
+			connection.checkForSecureServer = false;
 		}
 	}
 
@@ -283,49 +621,253 @@ class NEXParser extends EventEmitter {
 	/**
 	 *
 	 * @param {Buffer} frame Raw packet bytes
+	 * @param {number} [linkType] Link-layer header type of the frame. Defaults to ethernet
+	 * @param {number} [timestamp] Capture timestamp in seconds, used to expire incomplete IP fragments
 	 * @returns {object} Carved out packet data or null if not valid UDP packet
 	 */
-	parseUDPPacket(frame) {
-		if (frame.subarray(17, 20).equals(XID_MAGIC)) {
+	parseUDPPacket(frame, linkType = LINK_TYPES.ETHERNET, timestamp = 0) {
+		const linkFrame = decodeFrame(linkType, frame);
+
+		if (!linkFrame) {
 			return;
 		}
 
-		const stream = new Stream(frame);
-		stream.skip(0xE);  // Skip the ethernet header
+		const stream = new Stream(linkFrame.payload);
+		let ipPacket;
 
-		// Parse IPv4 header
-		// Assuming always IPv4
+		if (linkFrame.etherType === ETHER_TYPES.IPV4) {
+			ipPacket = this.parseIPv4Packet(stream);
+		} else if (linkFrame.etherType === ETHER_TYPES.IPV6) {
+			ipPacket = this.parseIPv6Packet(stream);
+		}
 
-		stream.skip(0x9); // skip until protocol
+		// * Not an IP packet
+		if (!ipPacket) {
+			return;
+		}
 
-		const protocol = stream.readUInt8();
+		if (ipPacket.fragment) {
+			// * Large NEX messages can exceed the MTU and be split by the IP layer.
+			// * Hold on to fragments until the whole datagram has been seen
+			const reassembled = this.ipReassembler.update(ipPacket, timestamp);
+
+			if (!reassembled) {
+				return;
+			}
+
+			if (ipPacket.version === 6) {
+				// * The fragmentable part may start with more extension headers
+				const payloadData = this.parseIPv6ExtensionHeaders(ipPacket.protocol, new Stream(reassembled));
+
+				if (!payloadData || payloadData.fragment) {
+					return;
+				}
+
+				ipPacket.protocol = payloadData.protocol;
+				ipPacket.payload = payloadData.payload;
+			} else {
+				ipPacket.payload = reassembled;
+			}
+		}
 
-		// Not a UDP packet
-		if (protocol !== 0x11) {
+		// * Not a UDP packet. Only checked after reassembly, as the
+		// * protocol of IPv6 fragments is not known until then
+		if (ipPacket.protocol !== IP_PROTOCOL_UDP) {
 			return;
 		}
 
+		const udpStream = new Stream(ipPacket.payload);
+
+		if (udpStream.remaining() < 0x8) {
+			throw new Error(`Truncated UDP header. Expected 8 bytes, got ${udpStream.remaining()}`);
+		}
+
+		// Parse UDP header
+
+		const sourcePort = udpStream.readUInt16BE();
+		const destinationPort = udpStream.readUInt16BE();
+		const udpPacketLength = udpStream.readUInt16BE();
+
+		if (udpPacketLength < 0x8 || udpPacketLength > ipPacket.payload.length) {
+			throw new Error(`Truncated UDP datagram. Length is ${udpPacketLength}, got ${ipPacket.payload.length} bytes`);
+		}
+
+		udpStream.skip(0x2); // skip header checksum
+
+		const payload = udpStream.readBytes(udpPacketLength - 0x8); // UDP payload is length-8 long everytime
+
+		return {
+			ipVersion: ipPacket.version,
+			source: ipPacket.source,
+			destination: ipPacket.destination,
+			sourcePort,
+			destinationPort,
+			payload
+		};
+	}
+
+	/**
+	 *
+	 * @param {Stream} stream Stream positioned at the start of the IPv4 header
+	 * @returns {object} IPv4 packet data
+	 */
+	parseIPv4Packet(stream) {
+		const available = stream.remaining();
+
+		if (available < 0x14) {
+			throw new Error(`Truncated IPv4 header. Expected at least 20 bytes, got ${available}`);
+		}
+
+		const versionAndHeaderLength = stream.readUInt8();
+		const headerLength = (versionAndHeaderLength & 0xF) * 4; // * IHL is in 4 byte units, and is larger than 5 when options are present
+
+		stream.skip(0x1); // * Skip DSCP and ECN
+
+		const totalLength = stream.readUInt16BE();
+		const identification = stream.readUInt16BE();
+		const flagsAndFragmentOffset = stream.readUInt16BE();
+
+		stream.skip(0x1); // * Skip TTL
+
+		const protocol = stream.readUInt8();
+
+		if (headerLength < 0x14 || totalLength < headerLength) {
+			throw new Error(`Invalid IPv4 lengths. Header length ${headerLength}, total length ${totalLength}`);
+		}
+
+		if (totalLength > available) {
+			throw new Error(`Truncated IPv4 packet. Total length is ${totalLength}, got ${available} bytes`);
+		}
+
 		stream.skip(0x2); // Skip header checksum
 
 		const source = this.int2ip(stream.readUInt32BE());
 		const destination = this.int2ip(stream.readUInt32BE());
 
-		// Parse UDP header
+		stream.skip(headerLength - 0x14); // * Skip any options
 
-		const sourcePort = stream.readUInt16BE();
-		const destinationPort = stream.readUInt16BE();
-		const udpPacketLength = stream.readUInt16BE();
+		// * Total length covers the header too. Anything past it is link-layer padding
+		const ipPacket = {
+			version: 4,
+			protocol,
+			source,
+			destination,
+			payload: stream.readBytes(totalLength - headerLength)
+		};
 
-		stream.skip(0x2); // skip header checksum
+		const moreFragments = (flagsAndFragmentOffset & 0x2000) !== 0;
+		const fragmentOffset = (flagsAndFragmentOffset & 0x1FFF) * 8;
 
-		const payload = stream.readBytes(udpPacketLength - 0x8); // UDP payload is length-8 long everytime
+		if (moreFragments || fragmentOffset !== 0) {
+			ipPacket.fragment = {
+				id: identification,
+				offset: fragmentOffset,
+				more: moreFragments
+			};
+		}
+
+		return ipPacket;
+	}
+
+	/**
+	 *
+	 * @param {Stream} stream Stream positioned at the start of the IPv6 header
+	 * @returns {object} IPv6 packet data or undefined if the payload can not be reached
+	 */
+	parseIPv6Packet(stream) {
+		if (stream.remaining() < 0x28) {
+			throw new Error(`Truncated IPv6 header. Expected 40 bytes, got ${stream.remaining()}`);
+		}
+
+		stream.skip(0x4); // * Skip version, traffic class and flow label
+
+		const payloadLength = stream.readUInt16BE();
+		const nextHeader = stream.readUInt8();
+
+		stream.skip(0x1); // * Skip hop limit
+
+		const source = this.bytes2ipv6(stream.readBytes(0x10));
+		const destination = this.bytes2ipv6(stream.readBytes(0x10));
+
+		if (payloadLength > stream.remaining()) {
+			throw new Error(`Truncated IPv6 packet. Payload length is ${payloadLength}, got ${stream.remaining()} bytes`);
+		}
+
+		// * The payload length includes any extension headers
+		const payloadStream = new Stream(stream.readBytes(payloadLength));
+		const payloadData = this.parseIPv6ExtensionHeaders(nextHeader, payloadStream);
+
+		if (!payloadData) {
+			return;
+		}
 
 		return {
+			version: 6,
 			source,
 			destination,
-			sourcePort,
-			destinationPort,
-			payload
+			...payloadData
+		};
+	}
+
+	/**
+	 *
+	 * @param {number} nextHeader Next header value of the preceding header
+	 * @param {Stream} stream Stream positioned at the first extension header
+	 * @returns {object} Upper layer protocol, payload and fragment data or undefined if the payload can not be reached
+	 */
+	parseIPv6ExtensionHeaders(nextHeader, stream) {
+		// * Walk the extension header chain until an upper layer protocol is found
+		while (IPV6_EXTENSION_HEADERS.includes(nextHeader)) {
+			if (nextHeader === IPV6_HEADER_ESP) {
+				// * Everything after an ESP header is encrypted
+				return;
+			}
+
+			const headerType = nextHeader;
+
+			// * Every extension header is at least 8 bytes
+			if (stream.remaining() < 0x8) {
+				throw new Error(`Truncated IPv6 extension header ${headerType}. Expected at least 8 bytes, got ${stream.remaining()}`);
+			}
+
+			nextHeader = stream.readUInt8();
+			const headerLength = stream.readUInt8();
+
+			if (headerType === IPV6_HEADER_FRAGMENT) {
+				const fragmentOffsetAndFlags = stream.readUInt16BE();
+				const identification = stream.readUInt32BE();
+
+				// * Everything after the fragment header is fragment data.
+				// * The headers in it are only readable once reassembled
+				return {
+					protocol: nextHeader,
+					payload: stream.readRest(),
+					fragment: {
+						id: identification,
+						offset: fragmentOffsetAndFlags & 0xFFF8,
+						more: (fragmentOffsetAndFlags & 0x1) !== 0
+					}
+				};
+			} else if (headerType === IPV6_HEADER_AUTHENTICATION) {
+				// * AH lengths are in 4 byte units, not counting the first 2 units
+				stream.skip(((headerLength + 2) * 4) - 0x2);
+			} else {
+				// * All other extension headers are in 8 byte units, not counting the first unit
+				stream.skip(((headerLength + 1) * 8) - 0x2);
+			}
+
+			if (stream.remaining() < 0) {
+				throw new Error(`Truncated IPv6 extension header ${headerType}. Header length is past the end of the packet`);
+			}
+		}
+
+		if (nextHeader === IPV6_HEADER_NO_NEXT_HEADER) {
+			return;
+		}
+
+		return {
+			protocol: nextHeader,
+			payload: stream.readRest()
 		};
 	}
 
@@ -337,6 +879,51 @@ class NEXParser extends EventEmitter {
 	int2ip(int) {
 		return `${int >>> 24}.${int >> 16 & 255}.${int >> 8 & 255}.${int & 255}`;
 	}
+
+	/**
+	 *
+	 * @param {Buffer} bytes 16 byte IPv6 address
+	 * @returns {string} IPv6 string in the RFC 5952 compressed form
+	 */
+	bytes2ipv6(bytes) {
+		const groups = [];
+
+		for (let i = 0; i < 16; i += 2) {
+			groups.push(bytes.readUInt16BE(i).toString(16));
+		}
+
+		// * Find the longest run of zero groups to compress
+		let bestStart = -1;
+		let bestLength = 0;
+		let currentStart = -1;
+
+		for (let i = 0; i <= groups.length; i++) {
+			if (i < groups.length && groups[i] === '0') {
+				if (currentStart === -1) {
+					currentStart = i;
+				}
+			} else if (currentStart !== -1) {
+				const length = i - currentStart;
+
+				if (length > bestLength) {
+					bestStart = currentStart;
+					bestLength = length;
+				}
+
+				currentStart = -1;
+			}
+		}
+
+		// * A single zero group is never compressed
+		if (bestLength < 2) {
+			return groups.join(':');
+		}
+
+		const head = groups.slice(0, bestStart).join(':');
+		const tail = groups.slice(bestStart + bestLength).join(':');
+
+		return `${head}::${tail}`;
+	}
 }
 
 
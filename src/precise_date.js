@@ -0,0 +1,48 @@
+const NANOSECONDS_PER_MILLISECOND = 1000000n;
+const NANOSECONDS_PER_SECOND = 1000000000n;
+
+/**
+ * Date which keeps the full nanosecond capture timestamp.
+ * Behaves like a normal Date (millisecond precision) everywhere
+ * except `toISOString`/`toJSON`, which include all 9 fractional digits
+ */
+class PreciseDate extends Date {
+	/**
+	 *
+	 * @param {bigint} epochNanoseconds Nanoseconds since the Unix epoch
+	 */
+	constructor(epochNanoseconds) {
+		super(Number(epochNanoseconds / NANOSECONDS_PER_MILLISECOND));
+
+		this.epochNanoseconds = epochNanoseconds;
+	}
+
+	/**
+	 *
+	 * @returns {number} Nanoseconds within the current second, 0-999999999
+	 */
+	getNanoseconds() {
+		return Number(((this.epochNanoseconds % NANOSECONDS_PER_SECOND) + NANOSECONDS_PER_SECOND) % NANOSECONDS_PER_SECOND);
+	}
+
+	/**
+	 *
+	 * @returns {string} ISO 8601 string with nanosecond precision
+	 */
+	toISOString() {
+		const fraction = this.getNanoseconds().toString().padStart(9, '0');
+
+		// * Swap out the millisecond fraction of YYYY-MM-DDTHH:mm:ss.sssZ
+		return `${super.toISOString().slice(0, -4)}${fraction}Z`;
+	}
+
+	/**
+	 *
+	 * @returns {string} ISO 8601 string with nanosecond precision
+	 */
+	toJSON() {
+		return this.toISOString();
+	}
+}
+
+module.exports = PreciseDate;
@@ -48,7 +48,7 @@ class Authentication {
 		const handler = Authentication.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Authentication method ID ${methodId} (0x${methodId?.toString(16)}) (${Authentication.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Authentication method ID ${methodId} (0x${methodId?.toString(16)}) (${Authentication.MethodNames[methodId]})`);
 			return;
 		}
 
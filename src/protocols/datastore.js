@@ -151,7 +151,7 @@ class DataStore {
 		const handler = DataStore.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown DataStore method ID ${methodId} (0x${methodId?.toString(16)}) (${DataStore.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown DataStore method ID ${methodId} (0x${methodId?.toString(16)}) (${DataStore.MethodNames[methodId]})`);
 			return;
 		}
 
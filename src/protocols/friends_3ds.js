@@ -67,7 +67,7 @@ class Friends3DS {
 		const handler = Friends3DS.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Friends3DS method ID ${methodId} (0x${methodId?.toString(16)}) (${Friends3DS.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Friends3DS method ID ${methodId} (0x${methodId?.toString(16)}) (${Friends3DS.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -59,7 +59,7 @@ class FriendsWiiU {
 		const handler = FriendsWiiU.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown FriendsWiiU method ID ${methodId} (0x${methodId?.toString(16)}) (${FriendsWiiU.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown FriendsWiiU method ID ${methodId} (0x${methodId?.toString(16)}) (${FriendsWiiU.MethodNames[methodId]})`);
 			return;
 		}
 
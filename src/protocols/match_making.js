@@ -125,7 +125,7 @@ class MatchMaking {
 		const handler = MatchMaking.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown MatchMaking method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchMaking.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown MatchMaking method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchMaking.MethodNames[methodId]})`);
 			return;
 		}
 
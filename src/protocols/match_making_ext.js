@@ -49,7 +49,7 @@ class MatchMakingExt {
 		const handler = MatchMakingExt.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown MatchMakingExt method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchMakingExt.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown MatchMakingExt method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchMakingExt.MethodNames[methodId]})`);
 			return;
 		}
 
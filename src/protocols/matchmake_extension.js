@@ -152,7 +152,7 @@ class MatchmakeExtension {
 		const handler = MatchmakeExtension.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown MatchmakeExtension method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchmakeExtension.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown MatchmakeExtension method ID ${methodId} (0x${methodId?.toString(16)}) (${MatchmakeExtension.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -51,7 +51,7 @@ class NATTraversal {
 		const handler = NATTraversal.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown NATTraversal method ID ${methodId} (0x${methodId?.toString(16)}) (${NATTraversal.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown NATTraversal method ID ${methodId} (0x${methodId?.toString(16)}) (${NATTraversal.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -41,7 +41,7 @@ class NintendoNotifications {
 		const handler = NintendoNotifications.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown NintendoNotifications method ID ${methodId} (0x${methodId?.toString(16)}) (${NintendoNotifications.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown NintendoNotifications method ID ${methodId} (0x${methodId?.toString(16)}) (${NintendoNotifications.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -39,7 +39,7 @@ class Notifications {
 		const handler = Notifications.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Notifications method ID ${methodId} (0x${methodId?.toString(16)}) (${Notifications.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Notifications method ID ${methodId} (0x${methodId?.toString(16)}) (${Notifications.MethodNames[methodId]})`);
 			return;
 		}
 
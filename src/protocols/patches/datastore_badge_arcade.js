@@ -39,7 +39,7 @@ class DataStoreBadgeArcade {
 		const handler = DataStoreBadgeArcade.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown DataStore (Badge Arcade) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStoreBadgeArcade.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown DataStore (Badge Arcade) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStoreBadgeArcade.MethodNames[methodId]})`);
 			return;
 		}
 
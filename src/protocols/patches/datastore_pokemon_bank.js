@@ -73,7 +73,7 @@ class DataStorePokemonBank {
 		const handler = DataStorePokemonBank.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown DataStore (Pokémon Bank) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStorePokemonBank.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown DataStore (Pokémon Bank) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStorePokemonBank.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -123,7 +123,7 @@ class DataStoreSMM {
 		const handler = DataStoreSMM.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown DataStore (SMM) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStoreSMM.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown DataStore (SMM) method ID ${methodId} (0x${methodId.toString(16)}) (${DataStoreSMM.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -39,7 +39,7 @@ class MatchmakeExtensionMK8 {
 		const handler = MatchmakeExtensionMK8.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown MatchmakeExtension (MK8) method ID ${methodId} (0x${methodId.toString(16)}) (${MatchmakeExtensionMK8.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown MatchmakeExtension (MK8) method ID ${methodId} (0x${methodId.toString(16)}) (${MatchmakeExtensionMK8.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -55,7 +55,7 @@ class RankingLegacy {
 		const handler = RankingLegacy.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Ranking (Legacy) method ID ${methodId} (0x${methodId?.toString(16)}) (${RankingLegacy.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Ranking (Legacy) method ID ${methodId} (0x${methodId?.toString(16)}) (${RankingLegacy.MethodNames[methodId]})`);
 			return;
 		}
 
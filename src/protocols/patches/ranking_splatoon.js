@@ -45,7 +45,7 @@ class RankingSplatoon {
 		const handler = RankingSplatoon.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown RankingSplatoon method ID ${methodId} (0x${methodId?.toString(16)}) (${RankingSplatoon.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown RankingSplatoon method ID ${methodId} (0x${methodId?.toString(16)}) (${RankingSplatoon.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -39,7 +39,7 @@ class SecureConnectionBadgeArcade {
 		const handler = SecureConnectionBadgeArcade.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Secure Connection (Badge Arcade) method ID ${methodId} (0x${methodId.toString(16)}) (${SecureConnectionBadgeArcade.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Secure Connection (Badge Arcade) method ID ${methodId} (0x${methodId.toString(16)}) (${SecureConnectionBadgeArcade.MethodNames[methodId]})`);
 			return;
 		}
 
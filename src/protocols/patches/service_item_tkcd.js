@@ -81,7 +81,7 @@ class ServiceItemTKCD {
 		const handler = ServiceItemTKCD.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Service Item (TKCD) method ID ${methodId} (0x${methodId?.toString(16)}) (${ServiceItemTKCD.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Service Item (TKCD) method ID ${methodId} (0x${methodId?.toString(16)}) (${ServiceItemTKCD.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -81,7 +81,7 @@ class ServiceItemWiiSportsClub {
 		const handler = ServiceItemWiiSportsClub.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Service Item (Wii Sports Club) method ID ${methodId} (0x${methodId?.toString(16)}) (${ServiceItemWiiSportsClub.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Service Item (Wii Sports Club) method ID ${methodId} (0x${methodId?.toString(16)}) (${ServiceItemWiiSportsClub.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -41,7 +41,7 @@ class ShopBadgeArcade {
 		const handler = ShopBadgeArcade.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Shop (Badge Arcade) method ID ${methodId} (0x${methodId?.toString(16)}) (${ShopBadgeArcade.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Shop (Badge Arcade) method ID ${methodId} (0x${methodId?.toString(16)}) (${ShopBadgeArcade.MethodNames[methodId]})`);
 			return;
 		}
 
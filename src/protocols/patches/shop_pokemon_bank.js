@@ -57,7 +57,7 @@ class ShopPokemonBank {
 		const handler = ShopPokemonBank.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Shop (Pokémon Bank) method ID ${methodId} (0x${methodId?.toString(16)}) (${ShopPokemonBank.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Shop (Pokémon Bank) method ID ${methodId} (0x${methodId?.toString(16)}) (${ShopPokemonBank.MethodNames[methodId]})`);
 			return;
 		}
 
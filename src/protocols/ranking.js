@@ -86,7 +86,7 @@ class Ranking {
 		const handler = Ranking.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Ranking method ID ${methodId} (0x${methodId?.toString(16)}) (${Ranking.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Ranking method ID ${methodId} (0x${methodId?.toString(16)}) (${Ranking.MethodNames[methodId]})`);
 			return;
 		}
 
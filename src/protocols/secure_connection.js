@@ -61,7 +61,7 @@ class SecureConnection {
 		const handler = SecureConnection.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown SecureConnection method ID ${methodId} (0x${methodId?.toString(16)}) (${SecureConnection.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown SecureConnection method ID ${methodId} (0x${methodId?.toString(16)}) (${SecureConnection.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -34,7 +34,7 @@ class ServiceItem {
 			return;
 		}
 
-		console.log(`Unknown Service Item protocol ID ${ServiceItem.ProtocolID} (0x${ServiceItem.ProtocolID.toString(16)}) used in ${packet.connection.title.name}`);
+		packet.connection.warn(`Unknown Service Item protocol ID ${ServiceItem.ProtocolID} (0x${ServiceItem.ProtocolID.toString(16)}) used in ${packet.connection.title.name}`);
 	}
 }
 
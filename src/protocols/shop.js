@@ -34,7 +34,7 @@ class Shop {
 			return;
 		}
 
-		console.log(`Unknown Shop protocol ID ${Shop.ProtocolID} (0x${Shop.ProtocolID.toString(16)}) used in ${packet.connection.title.name}`);
+		packet.connection.warn(`Unknown Shop protocol ID ${Shop.ProtocolID} (0x${Shop.ProtocolID.toString(16)}) used in ${packet.connection.title.name}`);
 	}
 }
 
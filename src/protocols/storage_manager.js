@@ -43,7 +43,7 @@ class StorageManager {
 		const handler = StorageManager.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Storage Manager method ID ${methodId} (0x${methodId?.toString(16)}) (${StorageManager.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Storage Manager method ID ${methodId} (0x${methodId?.toString(16)}) (${StorageManager.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -73,7 +73,7 @@ class Subscription {
 		const handler = Subscription.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Subscription method ID ${methodId} (0x${methodId?.toString(16)}) (${Subscription.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Subscription method ID ${methodId} (0x${methodId?.toString(16)}) (${Subscription.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -65,7 +65,7 @@ class Utility {
 		const handler = Utility.Handlers[methodId];
 
 		if (!handler) {
-			console.log(`Unknown Utility method ID ${methodId} (0x${methodId?.toString(16)}) (${Utility.MethodNames[methodId]})`);
+			packet.connection.warn(`Unknown Utility method ID ${methodId} (0x${methodId?.toString(16)}) (${Utility.MethodNames[methodId]})`);
 			return;
 		}
 
@@ -0,0 +1,191 @@
+/**
+ * @typedef {import('./connection')} Connection
+ * @typedef {import('./packet')} Packet
+ */
+
+const PacketV0 = require('./packetv0');
+const PacketV1 = require('./packetv1');
+const Stream = require('./stream');
+const titles = require('./titles.json');
+
+const PRUDP_V1_MAGIC = Buffer.from([0xEA, 0xD0]);
+
+// * Nintendo uses standardized stream bytes with NEX.
+// * The client is always 0xAF and the server is always 0xA1
+const CLIENT_STREAM = 0xAF;
+const SERVER_STREAM = 0xA1;
+const STREAM_TYPE_RV_SEC = 0xA0;
+
+// * Datagrams need at least this score to be treated as PRUDP.
+// * Above SCORES.MAGIC, so two bytes of magic alone are not enough
+const MINIMUM_SCORE = 3;
+
+// * Evidence for a PRUDP version
+const SCORES = {
+	MAGIC:        2,  // * Starts with the PRUDPv1 magic
+	STREAM_TYPE:  1,  // * Both ends use the RV-Sec stream type NEX uses
+	NEX_PORTS:    2,  // * One end is 0xAF and the other 0xA1
+	SIZE:         1,  // * The payload sizes in the headers add up to the datagram size
+	SIGNATURE:    3,  // * Checksum/signature matches the access key of the connection or a known title
+	MAGIC_ON_V0: -3   // * PRUDPv0 packet which happens to start with the PRUDPv1 magic
+};
+
+/**
+ * Decides which PRUDP version a UDP datagram is, if any. PRUDPv0 has no magic,
+ * so each version is decoded and scored on how NEX-like the result looks
+ */
+class PRUDPClassifier {
+	/**
+	 * @typedef {object} Classification
+	 * @property {number} version PRUDP version of the datagram, or null if discarded
+	 * @property {number} score Score of the best candidate
+	 * @property {Array<Packet>} packets Packets decoded from the datagram. Empty if discarded
+	 * @property {Array<string>} reasons Why each candidate version lost, if discarded
+	 */
+
+	/**
+	 *
+	 * @param {Buffer} payload UDP payload
+	 * @param {Connection} connection NEX connection the datagram would belong to. Only read from
+	 * @returns {Classification} Best scoring PRUDP version and its packets
+	 */
+	classify(payload, connection) {
+		const candidates = [
+			this.scoreCandidate(payload, connection, 1),
+			this.scoreCandidate(payload, connection, 0)
+		];
+
+		const decoded = candidates.filter(candidate => candidate.packets);
+		const best = decoded.sort((a, b) => b.score - a.score)[0];
+
+		if (best && best.score >= MINIMUM_SCORE) {
+			return {
+				version: best.version,
+				score: best.score,
+				packets: best.packets,
+				reasons: []
+			};
+		}
+
+		return {
+			version: null,
+			score: best ? best.score : 0,
+			packets: [],
+			reasons: candidates.map(candidate => `PRUDPv${candidate.version} (score ${candidate.score}): ${candidate.reasons.join(', ')}`)
+		};
+	}
+
+	/**
+	 *
+	 * @param {Buffer} payload UDP payload
+	 * @param {Connection} connection NEX connection the datagram would belong to
+	 * @param {number} version PRUDP version to try
+	 * @returns {object} Candidate `score`, decoded `packets` (null if decoding failed) and the `reasons` points were not given
+	 */
+	scoreCandidate(payload, connection, version) {
+		const hasMagic = payload.subarray(0, 2).equals(PRUDP_V1_MAGIC);
+		const reasons = [];
+		let score = 0;
+
+		if (version === 1) {
+			if (!hasMagic) {
+				return {
+					version,
+					score,
+					packets: null,
+					reasons: ['no PRUDPv1 magic']
+				};
+			}
+
+			score += SCORES.MAGIC;
+		} else if (hasMagic) {
+			score += SCORES.MAGIC_ON_V0;
+			reasons.push('starts with the PRUDPv1 magic');
+		}
+
+		const stream = new Stream(payload);
+		const packets = [];
+
+		// * PRUDP may send multiple packets in a single UDP packet
+		while (stream.hasDataLeft()) {
+			try {
+				packets.push(version === 1 ? new PacketV1(connection, stream) : new PacketV0(connection, stream));
+			} catch (error) {
+				reasons.push(`packet ${packets.length} failed to decode: ${error.message}`);
+
+				return {
+					version,
+					score,
+					packets: null,
+					reasons
+				};
+			}
+		}
+
+		if (packets.every(packet => (packet.source & 0xF0) === STREAM_TYPE_RV_SEC && (packet.destination & 0xF0) === STREAM_TYPE_RV_SEC)) {
+			score += SCORES.STREAM_TYPE;
+		} else {
+			reasons.push('not the RV-Sec stream type');
+		}
+
+		if (packets.every(PRUDPClassifier.hasNEXPorts)) {
+			score += SCORES.NEX_PORTS;
+		} else {
+			reasons.push('not the NEX stream bytes');
+		}
+
+		// * PRUDPv1 always sends the payload size, PRUDPv0 only with HAS_SIZE.
+		// * Without it the payload is just the rest of the datagram, which proves nothing.
+		// * Decoding fails on sizes past the end, and every byte was decoded, so the sizes line up
+		if (version === 1 || packets.every(packet => packet.hasFlagHasSize())) {
+			score += SCORES.SIZE;
+		} else {
+			reasons.push('payload size not sent');
+		}
+
+		if (packets.every(packet => this.hasValidSignature(packet))) {
+			score += SCORES.SIGNATURE;
+		} else {
+			reasons.push(version === 1 ? 'signature not verified' : 'checksum not verified');
+		}
+
+		return {
+			version,
+			score,
+			packets,
+			reasons
+		};
+	}
+
+	/**
+	 *
+	 * @param {Packet} packet Decoded packet
+	 * @returns {boolean} True if one end is the NEX client stream and the other the NEX server stream
+	 */
+	static hasNEXPorts(packet) {
+		return (packet.source === CLIENT_STREAM && packet.destination === SERVER_STREAM) ||
+			(packet.source === SERVER_STREAM && packet.destination === CLIENT_STREAM);
+	}
+
+	/**
+	 *
+	 * @param {Packet} packet Decoded packet
+	 * @returns {boolean} True if the checksum/signature matches the access key of the connection or, for PRUDPv0 client packets before the access key is known, any known title
+	 */
+	hasValidSignature(packet) {
+		if (packet.signatureChecked) {
+			// * Checked while decoding
+			return !packet.invalidChecksum;
+		}
+
+		// * PRUDPv1 signatures depend on connection signatures which may not be known yet,
+		// * but PRUDPv0 checksums only need the access key
+		if (packet.version !== 0 || !packet.isToServer()) {
+			return false;
+		}
+
+		return titles.some(title => title.access_key && packet.calculateChecksum(title.access_key) === packet.checksum);
+	}
+}
+
+module.exports = PRUDPClassifier;
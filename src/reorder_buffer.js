@@ -0,0 +1,143 @@
+/**
+ * @typedef {import('./packet')} Packet
+ * @typedef {import('./packetv0')} PacketV0
+ * @typedef {import('./packetv1')} PacketV1
+ */
+
+const { compareSequenceIds } = require('./util');
+
+const DEFAULT_WINDOW = 32; // * Packets to hold while waiting for a missing sequence ID
+
+/**
+ * Puts the reliable DATA packets of one direction and substream back into
+ * sequence ID order. RC4 is a stream cipher, so packets must reach it in
+ * the order they were sent, not the order they were captured in
+ */
+class ReorderBuffer {
+	/**
+	 *
+	 * @param {object} [options] Reorder options
+	 * @param {number} [options.window] Packets to hold while waiting for a missing sequence ID before giving up on it
+	 */
+	constructor(options = {}) {
+		this.window = options.window ?? DEFAULT_WINDOW;
+		this.expectedSequenceId = null;
+		this.held = new Map();
+	}
+
+	/**
+	 * Sets the sequence ID the first packet will have, as worked out from the handshake.
+	 * Without it the first packet to arrive is assumed to be the first one sent
+	 *
+	 * @param {number} sequenceId Sequence ID of the first reliable DATA packet
+	 */
+	start(sequenceId) {
+		if (this.expectedSequenceId === null && this.held.size === 0) {
+			this.expectedSequenceId = sequenceId;
+		}
+	}
+
+	/**
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Reliable DATA packet
+	 * @returns {object} `packets` which can now be handled, in sequence order, and the `missing` sequence IDs which were given up on
+	 */
+	push(packet) {
+		if (this.expectedSequenceId === null) {
+			this.expectedSequenceId = packet.sequenceId;
+		}
+
+		const distance = compareSequenceIds(packet.sequenceId, this.expectedSequenceId);
+
+		if (distance < 0) {
+			// * Arrived after its sequence ID was given up on
+			packet.arrivedLate = true;
+
+			return {
+				packets: [packet],
+				missing: []
+			};
+		}
+
+		this.held.set(packet.sequenceId, packet);
+
+		const packets = this.drain();
+		let missing = [];
+
+		if (this.held.size > this.window) {
+			missing = this.skipGap();
+			packets.push(...this.drain());
+		}
+
+		return {
+			packets,
+			missing
+		};
+	}
+
+	/**
+	 * Gives up on every missing sequence ID, for when no more packets are coming
+	 *
+	 * @returns {object} Remaining `packets` in sequence order, and the `missing` sequence IDs
+	 */
+	flush() {
+		const packets = [];
+		const missing = [];
+
+		while (this.held.size !== 0) {
+			missing.push(...this.skipGap());
+			packets.push(...this.drain());
+		}
+
+		return {
+			packets,
+			missing
+		};
+	}
+
+	/**
+	 *
+	 * @returns {Array<(Packet|PacketV0|PacketV1)>} Held packets which follow on from the expected sequence ID
+	 */
+	drain() {
+		const packets = [];
+
+		while (this.held.has(this.expectedSequenceId)) {
+			packets.push(this.held.get(this.expectedSequenceId));
+			this.held.delete(this.expectedSequenceId);
+			this.expectedSequenceId = (this.expectedSequenceId + 1) & 0xFFFF;
+		}
+
+		return packets;
+	}
+
+	/**
+	 * Moves the expected sequence ID up to the earliest held packet
+	 *
+	 * @returns {Array<number>} Sequence IDs which were skipped
+	 */
+	skipGap() {
+		let earliest = null;
+
+		for (const sequenceId of this.held.keys()) {
+			if (earliest === null || compareSequenceIds(sequenceId, earliest) < 0) {
+				earliest = sequenceId;
+			}
+		}
+
+		const missing = [];
+
+		while (this.expectedSequenceId !== earliest) {
+			missing.push(this.expectedSequenceId);
+			this.expectedSequenceId = (this.expectedSequenceId + 1) & 0xFFFF;
+		}
+
+		if (missing.length !== 0) {
+			this.held.get(earliest).missingSequenceIds = missing;
+		}
+
+		return missing;
+	}
+}
+
+module.exports = ReorderBuffer;
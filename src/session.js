@@ -0,0 +1,99 @@
+/**
+ * @typedef {import('./packet')} Packet
+ * @typedef {import('./packetv0')} PacketV0
+ * @typedef {import('./packetv1')} PacketV1
+ */
+
+/**
+ * One PRUDP session on a connection, from the client SYN until
+ * the session disconnects, times out or the client reconnects
+ */
+class Session {
+	static STATES = {
+		SYN_SENT:      'syn-sent',      // * Client sent SYN
+		SYN_RECEIVED:  'syn-received',  // * Server replied to SYN
+		CONNECT_SENT:  'connect-sent',  // * Client sent CONNECT
+		ESTABLISHED:   'established',   // * Server replied to CONNECT, DATA can flow
+		DISCONNECTING: 'disconnecting', // * One side sent DISCONNECT
+		CLOSED:        'closed'
+	};
+
+	static CLOSE_REASONS = {
+		DISCONNECT:  'disconnect',  // * DISCONNECT was sent
+		TIMEOUT:     'timeout',     // * No packets within the idle timeout
+		RECONNECT:   'reconnect',   // * Client sent a new SYN
+		CAPTURE_END: 'capture-end'  // * Still open when the capture ended
+	};
+
+	/**
+	 *
+	 * @param {number} id Session number within the connection, counting from 0
+	 * @param {(Packet|PacketV0|PacketV1)} packet Client SYN packet which started the session
+	 */
+	constructor(id, packet) {
+		this.id = id;
+		this.state = Session.STATES.SYN_SENT;
+		this.startDate = packet.date;
+		this.startTime = packet.relativeTime;
+		this.endDate = packet.date;
+		this.endTime = packet.relativeTime;
+		this.packetCount = 0;
+		this.byteCount = 0;
+		this.disconnectedBy = null; // * 'client' or 'server', whichever sent DISCONNECT first
+		this.closeReason = null;
+	}
+
+	toJSON() {
+		return {
+			id: this.id,
+			state: this.state,
+			start: this.startDate,
+			end: this.endDate,
+			startTime: this.startTime,
+			endTime: this.endTime,
+			duration: this.duration(),
+			packets: this.packetCount,
+			bytes: this.byteCount,
+			disconnectedBy: this.disconnectedBy,
+			closeReason: this.closeReason
+		};
+	}
+
+	/**
+	 *
+	 * @returns {number} Seconds between the first and latest packet of the session
+	 */
+	duration() {
+		return this.endTime - this.startTime;
+	}
+
+	/**
+	 *
+	 * @returns {boolean} True until the session is closed
+	 */
+	isOpen() {
+		return this.state !== Session.STATES.CLOSED;
+	}
+
+	/**
+	 *
+	 * @param {(Packet|PacketV0|PacketV1)} packet Packet sent during the session
+	 */
+	addPacket(packet) {
+		this.endDate = packet.date;
+		this.endTime = packet.relativeTime;
+		this.packetCount++;
+		this.byteCount += packet.size;
+	}
+
+	/**
+	 *
+	 * @param {string} reason One of `Session.CLOSE_REASONS`
+	 */
+	close(reason) {
+		this.state = Session.STATES.CLOSED;
+		this.closeReason = reason;
+	}
+}
+
+module.exports = Session;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const FragmentationManager = require('./fragmentation_manager');
+const ReorderBuffer = require('./reorder_buffer');
+
+/**
+ * Reliable state of one PRUDP substream. Each substream has its own
+ * sequence IDs, so it needs its own RC4 streams, reordering and fragment buffers.
+ * PRUDPv0 connections only ever use substream 0
+ */
+class Substream {
+	/**
+	 *
+	 * @param {number} id Substream ID
+	 * @param {(string|Buffer)} key RC4 key
+	 * @param {object} [options] Substream options
+	 * @param {number} [options.reorderWindow] Reliable DATA packets to hold while waiting for a missing sequence ID
+	 * @param {number} [options.fragmentTimeout] Seconds to wait for the missing fragments of an RMC message
+	 */
+	constructor(id, key, options = {}) {
+		this.id = id;
+
+		this.clientReorderBuffer = new ReorderBuffer({
+			window: options.reorderWindow
+		});
+		this.serverReorderBuffer = new ReorderBuffer({
+			window: options.reorderWindow
+		});
+
+		this.clientFragmentationManager = new FragmentationManager({
+			timeout: options.fragmentTimeout
+		});
+		this.serverFragmentationManager = new FragmentationManager({
+			timeout: options.fragmentTimeout
+		});
+
+		this.setRC4Key(key);
+	}
+
+	/**
+	 *
+	 * @param {(string|Buffer)} key RC4 key
+	 */
+	setRC4Key(key) {
+		this.rc4CipherToClient = crypto.createDecipheriv('rc4', key, '');
+		this.rc4CipherToServer = crypto.createDecipheriv('rc4', key, '');
+	}
+}
+
+module.exports = Substream;
@@ -96,7 +96,13 @@ class AnyDataHolder {
 		if (structure) {
 			this.data = stream.readNEXStructure(structure);
 		} else {
-			console.log(`Unknown AnyDataHolder type ${this.typeName}`);
+			const warning = `Unknown AnyDataHolder type ${this.typeName}`;
+
+			if (stream.connection) {
+				stream.connection.warn(warning);
+			} else {
+				console.error(warning);
+			}
 			this.data = stream.readBytes(this.length2);
 		}
 	}
@@ -9,6 +9,32 @@ function md5(input) {
 	return crypto.createHash('md5').update(input).digest();
 }
 
+/**
+ *
+ * @param {string} address IPv4 or IPv6 address
+ * @param {(number|string)} port UDP port
+ * @returns {string} Address and port joined together, with IPv6 addresses wrapped in brackets
+ */
+function formatAddress(address, port) {
+	if (address.includes(':')) {
+		return `[${address}]:${port}`;
+	}
+
+	return `${address}:${port}`;
+}
+
+/**
+ *
+ * @param {number} a PRUDP sequence ID
+ * @param {number} b PRUDP sequence ID
+ * @returns {number} Signed distance from `b` to `a`, accounting for the 16 bit sequence IDs wrapping around. Negative if `a` comes before `b`
+ */
+function compareSequenceIds(a, b) {
+	return ((a - b + 0x8000) & 0xFFFF) - 0x8000;
+}
+
 module.exports = {
-	md5
+	md5,
+	formatAddress,
+	compareSequenceIds
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const CaptureParser = require('../src/capture_parser');
+const { pcap } = require('./helpers');
+
+/**
+ *
+ * @param {Buffer} capture Capture data
+ * @param {number} [chunkSize] Bytes per chunk written to the parser, to split records across chunks
+ * @returns {Promise<Array<object>>} Captured packets
+ */
+function parseCapture(capture, chunkSize = capture.length) {
+	const chunks = [];
+
+	for (let offset = 0; offset < capture.length; offset += chunkSize) {
+		chunks.push(capture.subarray(offset, offset + chunkSize));
+	}
+
+	return new Promise((resolve, reject) => {
+		const packets = [];
+
+		Readable.from(chunks)
+			.pipe(new CaptureParser())
+			.on('data', packet => packets.push(packet))
+			.on('error', reject)
+			.on('end', () => resolve(packets));
+	});
+}
+
+/**
+ *
+ * @param {number} type Block type
+ * @param {Buffer} body Block body
+ * @returns {Buffer} Little endian pcapng block
+ */
+function pcapngBlock(type, body) {
+	const padded = Buffer.concat([body, Buffer.alloc((4 - (body.length % 4)) % 4)]);
+	const header = Buffer.alloc(8);
+	const trailer = Buffer.alloc(4);
+
+	header.writeUInt32LE(type, 0);
+	header.writeUInt32LE(12 + padded.length, 4);
+	trailer.writeUInt32LE(12 + padded.length, 0);
+
+	return Buffer.concat([header, padded, trailer]);
+}
+
+/**
+ *
+ * @param {number} code Option code
+ * @param {Buffer} value Option value
+ * @returns {Buffer} pcapng option, padded to 32 bits
+ */
+function pcapngOption(code, value) {
+	const header = Buffer.alloc(4);
+
+	header.writeUInt16LE(code, 0);
+	header.writeUInt16LE(value.length, 2);
+
+	return Buffer.concat([header, value, Buffer.alloc((4 - (value.length % 4)) % 4)]);
+}
+
+/**
+ *
+ * @param {Buffer} data Captured frame
+ * @param {bigint} timestamp Timestamp in units of the interface resolution
+ * @param {object} [options] Interface options
+ * @param {number} [options.tsresol] `if_tsresol` value. Defaults to 9, nanoseconds
+ * @param {bigint} [options.tsoffset] `if_tsoffset` value in seconds, if any
+ * @returns {Buffer} Little endian pcapng capture with one ethernet interface
+ */
+function pcapng(data, timestamp, options = {}) {
+	const sectionHeader = Buffer.alloc(16);
+
+	sectionHeader.writeUInt32LE(0x1A2B3C4D, 0);
+	sectionHeader.writeUInt16LE(1, 4);
+	sectionHeader.writeBigInt64LE(-1n, 8);
+
+	const interfaceOptions = [pcapngOption(9, Buffer.from([options.tsresol ?? 9]))]; // * if_tsresol
+
+	if (options.tsoffset !== undefined) {
+		const tsoffset = Buffer.alloc(8);
+
+		tsoffset.writeBigInt64LE(options.tsoffset);
+		interfaceOptions.push(pcapngOption(14, tsoffset)); // * if_tsoffset
+	}
+
+	const interfaceHeader = Buffer.alloc(8);
+
+	interfaceHeader.writeUInt16LE(1, 0); // * Ethernet
+	interfaceHeader.writeUInt32LE(0xFFFF, 4);
+
+	const enhancedPacket = Buffer.alloc(20);
+
+	enhancedPacket.writeUInt32LE(Number(timestamp >> 32n), 4);
+	enhancedPacket.writeUInt32LE(Number(timestamp & 0xFFFFFFFFn), 8);
+	enhancedPacket.writeUInt32LE(data.length, 12);
+	enhancedPacket.writeUInt32LE(data.length, 16);
+
+	return Buffer.concat([
+		pcapngBlock(0x0A0D0D0A, sectionHeader),
+		pcapngBlock(0x00000001, Buffer.concat([interfaceHeader, ...interfaceOptions, Buffer.alloc(4)])), // * opt_endofopt
+		pcapngBlock(0x00000006, Buffer.concat([enhancedPacket, data]))
+	]);
+}
+
+test('reads pcap records', async () => {
+	const packets = await parseCapture(pcap([
+		{ time: 1.5, data: Buffer.from('0102', 'hex') },
+		{ time: 2, data: Buffer.from('030405', 'hex') }
+	]));
+
+	assert.strictEqual(packets.length, 2);
+	assert.strictEqual(packets[0].linkType, 1);
+	assert.strictEqual(packets[0].timestamp, 1500000000n);
+	assert.deepStrictEqual(packets[1].data, Buffer.from('030405', 'hex'));
+});
+
+test('reads records split across chunks', async () => {
+	const packets = await parseCapture(pcap([
+		{ time: 1, data: Buffer.from('0102', 'hex') },
+		{ time: 2, data: Buffer.from('030405', 'hex') }
+	]), 3);
+
+	assert.deepStrictEqual(packets.map(packet => packet.data), [Buffer.from('0102', 'hex'), Buffer.from('030405', 'hex')]);
+});
+
+test('reads pcapng enhanced packets with the interface timestamp resolution', async () => {
+	const packets = await parseCapture(pcapng(Buffer.from('abcdef', 'hex'), 1000000123n));
+
+	assert.strictEqual(packets.length, 1);
+	assert.strictEqual(packets[0].timestamp, 1000000123n);
+	assert.deepStrictEqual(packets[0].data, Buffer.from('abcdef', 'hex'));
+});
+
+test('reads pcapng timestamps in negative powers of 2', async () => {
+	// * 2^-10 seconds, so 1536 units is 1.5 seconds
+	const [packet] = await parseCapture(pcapng(Buffer.from('ab', 'hex'), 1536n, { tsresol: 0x80 | 10 }));
+
+	assert.strictEqual(packet.timestamp, 1500000000n);
+});
+
+test('reads pcapng timestamps in microseconds', async () => {
+	const [packet] = await parseCapture(pcapng(Buffer.from('ab', 'hex'), 2500000n, { tsresol: 6 }));
+
+	assert.strictEqual(packet.timestamp, 2500000000n);
+});
+
+test('adds the pcapng interface timestamp offset', async () => {
+	const [packet] = await parseCapture(pcapng(Buffer.from('ab', 'hex'), 5n, { tsoffset: 1000n }));
+
+	assert.strictEqual(packet.timestamp, 1000000000005n);
+});
+
+test('rejects data which is not a capture', async () => {
+	await assert.rejects(parseCapture(Buffer.from('not a capture file')));
+});
+
+test('rejects pcap records longer than the snap length', async () => {
+	const capture = pcap([{ time: 1, data: Buffer.from('0102', 'hex') }]);
+
+	capture.writeUInt32LE(0x10000000, 24 + 8); // * Captured length of the first record
+
+	await assert.rejects(parseCapture(capture), /Invalid pcap record captured length/);
+});
+
+test('reports a record cut off at the end of the capture', async () => {
+	const capture = pcap([
+		{ time: 1, data: Buffer.from('0102', 'hex') },
+		{ time: 2, data: Buffer.from('030405', 'hex') }
+	]);
+
+	const truncated = [];
+	const packets = await new Promise((resolve, reject) => {
+		const packets = [];
+
+		Readable.from([capture.subarray(0, capture.length - 1)])
+			.pipe(new CaptureParser())
+			.on('truncated', raw => truncated.push(raw))
+			.on('data', packet => packets.push(packet))
+			.on('error', reject)
+			.on('end', () => resolve(packets));
+	});
+
+	assert.strictEqual(packets.length, 1);
+	assert.strictEqual(truncated.length, 1);
+	assert.strictEqual(truncated[0].timestamp, 1000000000n);
+	assert.strictEqual(truncated[0].data.length, 16 + 2);
+});
+
+test('rejects data too short to be a capture', async () => {
+	await assert.rejects(parseCapture(Buffer.from('d4c3b2a1', 'hex')), /too short/);
+});
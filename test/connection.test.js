@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Connection = require('../src/connection');
+const Packet = require('../src/packet');
+const PacketV0 = require('../src/packetv0');
+const PacketV1 = require('../src/packetv1');
+const Session = require('../src/session');
+const KeyStore = require('../src/key_store');
+const Stream = require('../src/stream');
+const { prudpV0Packet, prudpV1Packet, rmcRequest } = require('./helpers');
+
+const { TYPES, FLAGS } = Packet;
+
+const SESSION_KEY = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+const WRONG_SESSION_KEY = Buffer.from('ffeeddccbbaa99887766554433221100', 'hex');
+
+/**
+ *
+ * @param {Connection} connection NEX connection
+ * @param {Array<Buffer>} packets PRUDPv0 packets in capture order, one second apart
+ * @returns {Array<PacketV0>} Decoded packets which fit the session state
+ */
+function handlePackets(connection, packets) {
+	const handled = [];
+
+	for (const data of packets) {
+		const packet = new PacketV0(connection, new Stream(data));
+
+		packet.relativeTime = connection.packets.length;
+
+		if (connection.updateSession(packet)) {
+			handled.push(...connection.handlePacket(packet));
+		}
+	}
+
+	return handled;
+}
+
+/**
+ *
+ * @param {(string|Buffer)} key RC4 key of the session
+ * @param {Array<Buffer>} payloads Plain payloads of the client DATA packets sent after the handshake
+ * @returns {Array<Buffer>} Handshake and reliable DATA packets of one session
+ */
+function sessionPackets(key, payloads) {
+	const cipher = crypto.createCipheriv('rc4', key, '');
+	const reliable = FLAGS.RELIABLE | FLAGS.NEED_ACK;
+
+	return [
+		prudpV0Packet({ type: TYPES.SYN, flags: FLAGS.NEED_ACK }),
+		prudpV0Packet({ toServer: false, type: TYPES.SYN, flags: FLAGS.ACK }),
+		prudpV0Packet({ type: TYPES.CONNECT, flags: reliable, sequenceId: 1 }),
+		prudpV0Packet({ toServer: false, type: TYPES.CONNECT, flags: FLAGS.ACK, sequenceId: 1 }),
+		...payloads.map((payload, index) => prudpV0Packet({
+			type: TYPES.DATA,
+			flags: reliable,
+			sequenceId: 2 + index,
+			payload: cipher.update(payload)
+		}))
+	];
+}
+
+/**
+ *
+ * @param {Array<number>} callIds Call IDs of the requests sent after the handshake
+ * @returns {Array<Buffer>} Handshake and reliable DATA packets of one secure server session
+ */
+function securePackets(callIds) {
+	return sessionPackets(SESSION_KEY, callIds.map(callId => rmcRequest(11, callId, 4)));
+}
+
+test('starts decoding over when the client reconnects to the secure server', () => {
+	const connection = new Connection('34.1.1.1:60000');
+
+	// * As set up once the authentication server hands out the ticket
+	connection.sessionKey = SESSION_KEY;
+	connection.isSecureServer = true;
+	connection.setRC4Key(SESSION_KEY);
+
+	handlePackets(connection, securePackets([1, 2]));
+
+	const reconnect = handlePackets(connection, securePackets([3, 4])).filter(packet => packet.isData());
+
+	assert.strictEqual(connection.sessions.length, 2);
+	assert.strictEqual(connection.sessions[0].closeReason, Session.CLOSE_REASONS.RECONNECT);
+	assert.deepStrictEqual(reconnect.map(packet => packet.rmcMessage.callId), [3, 4]);
+	assert.ok(reconnect.every(packet => !packet.retransmissionOf));
+	assert.ok(connection.isSecureServer);
+});
+
+test('handles packets held back by the last session when the client reconnects', () => {
+	const connection = new Connection('34.1.1.1:60000');
+	const [syn, synAck, connect, connectAck, , third] = securePackets([1, 2]);
+
+	connection.sessionKey = SESSION_KEY;
+	connection.isSecureServer = true;
+	connection.setRC4Key(SESSION_KEY);
+
+	// * Sequence ID 2 never arrives, so sequence ID 3 is held until the reconnect
+	assert.deepStrictEqual(handlePackets(connection, [syn, synAck, connect, connectAck, third]).filter(packet => packet.isData()), []);
+
+	const handled = handlePackets(connection, [securePackets([])[0]]);
+
+	assert.strictEqual(handled.length, 2);
+	assert.strictEqual(handled[0].sequenceId, 3);
+	assert.deepStrictEqual(handled[0].missingSequenceIds, [2]);
+	assert.ok(handled[1].isSyn());
+});
+
+test('links PRUDPv0 aggregate acks to the packets they cover', () => {
+	const connection = new Connection('34.1.1.1:60000');
+
+	connection.sessionKey = SESSION_KEY;
+	connection.isSecureServer = true;
+	connection.setRC4Key(SESSION_KEY);
+
+	handlePackets(connection, securePackets([1, 2, 3, 4]));
+
+	// * Everything up to sequence ID 3, and sequence ID 5
+	const payload = Buffer.from('03000500', 'hex');
+	const [ack] = handlePackets(connection, [prudpV0Packet({
+		toServer: false,
+		type: TYPES.DATA,
+		flags: FLAGS.ACK | FLAGS.MULTI_ACK,
+		payload
+	})]);
+
+	assert.deepStrictEqual(ack.acknowledgement, {
+		substreamId: 0,
+		baseSequenceId: 3,
+		sequenceIds: [5]
+	});
+
+	const data = connection.packets.filter(packet => packet.isData() && packet.isToServer());
+
+	assert.deepStrictEqual(data.filter(packet => packet.acknowledgedBy === ack).map(packet => packet.sequenceId), [2, 3, 5]);
+	assert.deepStrictEqual(ack.acknowledgedPackets.map(packet => packet.sequenceId), [2, 3, 5]);
+});
+
+test('decodes PRUDPv1 aggregate acks with a substream header', () => {
+	const connection = new Connection('34.1.1.1:60000');
+
+	// * Substream 1, 2 extra sequence IDs, everything up to sequence ID 5, then 7 and 9
+	const data = prudpV1Packet({
+		toServer: false,
+		type: TYPES.DATA,
+		flags: FLAGS.ACK | FLAGS.MULTI_ACK,
+		payload: Buffer.from('0102050007000900', 'hex')
+	});
+
+	const [ack] = connection.handlePacket(new PacketV1(connection, new Stream(data)));
+
+	assert.deepStrictEqual(ack.acknowledgement, {
+		substreamId: 1,
+		baseSequenceId: 5,
+		sequenceIds: [7, 9]
+	});
+});
+
+test('decodes PRUDPv1 aggregate acks without a substream header before minor version 2', () => {
+	const connection = new Connection('34.1.1.1:60000');
+
+	connection.prudpMinorVersion = 1;
+
+	const data = prudpV1Packet({
+		toServer: false,
+		type: TYPES.DATA,
+		flags: FLAGS.ACK | FLAGS.MULTI_ACK,
+		payload: Buffer.from('050007000900', 'hex')
+	});
+
+	const [ack] = connection.handlePacket(new PacketV1(connection, new Stream(data)));
+
+	assert.deepStrictEqual(ack.acknowledgement, {
+		substreamId: 0,
+		baseSequenceId: 5,
+		sequenceIds: [7, 9]
+	});
+});
+
+test('hands out retransmissions of a held packet once the first copy is decrypted', () => {
+	const connection = new Connection('34.1.1.1:60000');
+	const [syn, synAck, connect, connectAck, second, third] = securePackets([1, 2]);
+
+	connection.sessionKey = SESSION_KEY;
+	connection.isSecureServer = true;
+	connection.setRC4Key(SESSION_KEY);
+
+	handlePackets(connection, [syn, synAck, connect, connectAck]);
+
+	// * Sequence ID 3 arrives twice while sequence ID 2 is missing
+	assert.deepStrictEqual(handlePackets(connection, [third, third]), []);
+
+	const handled = handlePackets(connection, [second]);
+
+	assert.deepStrictEqual(handled.map(packet => packet.sequenceId), [2, 3, 3]);
+	assert.strictEqual(handled[2].retransmissionOf, handled[1]);
+	assert.strictEqual(handled[1].rmcMessage.callId, 2);
+	assert.strictEqual(handled[2].toJSON().rmc.callId, 2);
+	assert.strictEqual(handled[2].toJSON().retransmission.count, 1);
+});
+
+test('inflates compressed PRUDPv0 payloads and strips the ratio byte of uncompressed ones', () => {
+	const connection = new Connection('34.1.1.1:60000');
+	const compressed = zlib.deflateSync(rmcRequest(10, 1, 1, Buffer.alloc(64)));
+
+	const data = handlePackets(connection, sessionPackets('CD&ML', [
+		Buffer.concat([Buffer.from([4]), compressed]),
+		Buffer.concat([Buffer.from([0]), rmcRequest(10, 2, 1)])
+	])).filter(packet => packet.isData());
+
+	assert.strictEqual(connection.payloadCompression, true);
+	assert.deepStrictEqual(data.map(packet => packet.rmcMessage.callId), [1, 2]);
+	assert.deepStrictEqual(data[0].compression, {
+		ratio: 4,
+		compressedSize: compressed.length,
+		uncompressedSize: 13 + 64
+	});
+	assert.strictEqual(data[1].compression, null);
+});
+
+test('leaves plain PRUDPv0 payloads alone', () => {
+	const connection = new Connection('34.1.1.1:60000');
+
+	const data = handlePackets(connection, sessionPackets('CD&ML', [
+		rmcRequest(10, 1, 1),
+		rmcRequest(10, 2, 1)
+	])).filter(packet => packet.isData());
+
+	assert.strictEqual(connection.payloadCompression, null);
+	assert.deepStrictEqual(data.map(packet => packet.rmcMessage.callId), [1, 2]);
+	assert.ok(data.every(packet => packet.compression === null));
+});
+
+test('picks the supplied session key which decrypts the first DATA packet', () => {
+	const keyStore = new KeyStore();
+
+	keyStore.addSessionKey(1750087940, WRONG_SESSION_KEY);
+	keyStore.addSessionKey(1750087941, SESSION_KEY);
+
+	const connection = new Connection('34.1.1.1:60000', { keyStore });
+	const data = handlePackets(connection, securePackets([1, 2])).filter(packet => packet.isData());
+
+	assert.ok(connection.isSecureServer);
+	assert.deepStrictEqual(connection.sessionKey, SESSION_KEY);
+	assert.strictEqual(connection.clientPID, 1750087941);
+	assert.deepStrictEqual(data.map(packet => packet.rmcMessage.callId), [1, 2]);
+	assert.deepStrictEqual(connection.warnings, []);
+});
+
+test('warns when none of the supplied session keys decrypt the connection', () => {
+	const keyStore = new KeyStore();
+
+	// * A key for the connection is the only candidate, even with a right key for an account
+	keyStore.addConnectionSessionKey('34.1.1.1:60000', WRONG_SESSION_KEY);
+	keyStore.addSessionKey(1750087941, SESSION_KEY);
+
+	const connection = new Connection('34.1.1.1:60000', { keyStore });
+
+	handlePackets(connection, securePackets([1]));
+
+	assert.ok(!connection.isSecureServer);
+	assert.strictEqual(connection.sessionKey.length, 0);
+	assert.ok(connection.warnings.includes('None of the supplied session keys decrypt this connection'));
+});
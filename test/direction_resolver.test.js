@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DirectionResolver = require('../src/direction_resolver');
+
+const PUBLIC_A = '34.1.1.1';
+const PUBLIC_B = '52.2.2.2';
+
+/**
+ *
+ * @param {string} source Source address
+ * @param {number} sourcePort Source port
+ * @param {string} destination Destination address
+ * @param {number} destinationPort Destination port
+ * @param {string} payload UDP payload as hex
+ * @returns {object} UDP packet data as parsed by `NEXParser.parseUDPPacket`
+ */
+function udpPacket(source, sourcePort, destination, destinationPort, payload) {
+	return {
+		source,
+		sourcePort,
+		destination,
+		destinationPort,
+		payload: Buffer.from(payload, 'hex')
+	};
+}
+
+test('parses server address entries', () => {
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('60000'), { address: undefined, port: 60000 });
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('*:60000'), { address: undefined, port: 60000 });
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('192.168.0.10'), { address: '192.168.0.10', port: undefined });
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('192.168.0.10:60000'), { address: '192.168.0.10', port: 60000 });
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('fd00::10'), { address: 'fd00::10', port: undefined });
+	assert.deepStrictEqual(DirectionResolver.parseServerAddress('[fd00::10]:60000'), { address: 'fd00::10', port: 60000 });
+});
+
+test('uses the configured servers before anything in the payload', () => {
+	const resolver = new DirectionResolver({ serverAddresses: [`${PUBLIC_B}:60000`] });
+
+	// * Stream bytes claim the other direction
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_A, 50000, PUBLIC_B, 60000, 'a1af0000')), true);
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_B, 60000, PUBLIC_A, 50000, 'afa10000')), false);
+});
+
+test('matches servers configured by port only', () => {
+	const resolver = new DirectionResolver({ serverAddresses: [60000] });
+
+	assert.strictEqual(resolver.isToServer(udpPacket('192.168.0.10', 60000, '192.168.0.2', 50000, '00')), false);
+});
+
+test('uses the standard stream bytes between public addresses', () => {
+	const resolver = new DirectionResolver();
+
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_A, 50000, PUBLIC_B, 60000, 'afa10000')), true);
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_B, 60000, PUBLIC_A, 50000, 'a1af0000')), false);
+});
+
+test('uses the SYN initiator when the stream bytes are not standard', () => {
+	const resolver = new DirectionResolver();
+
+	// * SYN from PUBLIC_B, then SYN-ACK from PUBLIC_A, with stream type 3
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_B, 50000, PUBLIC_A, 60000, '3f314000')), true);
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_A, 60000, PUBLIC_B, 50000, '313f5000')), false);
+
+	// * Later packets of the flow follow the SYN
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_A, 60000, PUBLIC_B, 50000, '313f2200')), false);
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_B, 50000, PUBLIC_A, 60000, '3f312200')), true);
+});
+
+test('ignores SYN packets between different stream types', () => {
+	assert.strictEqual(DirectionResolver.checkSyn(Buffer.from('3f214000', 'hex')), undefined);
+	assert.strictEqual(DirectionResolver.checkSyn(Buffer.from('3f314000', 'hex')), true);
+	assert.strictEqual(DirectionResolver.checkSyn(Buffer.from('3f312200', 'hex')), undefined);
+});
+
+test('reads PRUDPv1 headers', () => {
+	const syn = Buffer.from('ead001000000a1af0000', 'hex');
+	const synAck = Buffer.from('ead001000000afa10000', 'hex');
+
+	assert.strictEqual(DirectionResolver.checkStreamBytes(syn), false);
+	assert.strictEqual(DirectionResolver.checkStreamBytes(synAck), true);
+});
+
+test('falls back to the client having a private address', () => {
+	const resolver = new DirectionResolver();
+
+	assert.strictEqual(resolver.isToServer(udpPacket('192.168.0.2', 50000, PUBLIC_A, 60000, '00')), true);
+	assert.strictEqual(resolver.isToServer(udpPacket(PUBLIC_A, 60000, '192.168.0.2', 50000, '00')), false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const FragmentationManager = require('../src/fragmentation_manager');
+const Connection = require('../src/connection');
+const Packet = require('../src/packet');
+const PacketV0 = require('../src/packetv0');
+const Stream = require('../src/stream');
+const { prudpV0Packet, rmcRequest } = require('./helpers');
+
+const { TYPES, FLAGS } = Packet;
+
+/**
+ *
+ * @param {number} sequenceId Sequence ID
+ * @param {number} fragmentId Fragment ID, 0 for the last fragment
+ * @param {number} relativeTime Capture time in seconds
+ * @returns {object} Stand-in for a reliable DATA packet
+ */
+function fragment(sequenceId, fragmentId, relativeTime) {
+	return {
+		sequenceId,
+		fragmentId,
+		relativeTime
+	};
+}
+
+test('joins the fragments of a message', () => {
+	const manager = new FragmentationManager();
+
+	assert.deepStrictEqual(manager.update(fragment(10, 1, 0), Buffer.from('01', 'hex')), []);
+	assert.deepStrictEqual(manager.update(fragment(11, 2, 0), Buffer.from('02', 'hex')), []);
+
+	const [message] = manager.update(fragment(12, 0, 0), Buffer.from('03', 'hex'));
+
+	assert.strictEqual(message.complete, true);
+	assert.deepStrictEqual(message.payload, Buffer.from('010203', 'hex'));
+	assert.deepStrictEqual(message.sequenceIds, [10, 11, 12]);
+});
+
+test('gives up on a message missing its last fragment after the timeout', () => {
+	const manager = new FragmentationManager({ timeout: 5 });
+	const second = fragment(11, 2, 1);
+
+	manager.update(fragment(10, 1, 0), Buffer.from('01', 'hex'));
+	manager.update(second, Buffer.from('02', 'hex'));
+
+	// * A later message starts within the timeout of the latest fragment
+	assert.deepStrictEqual(manager.update(fragment(30, 1, 6), Buffer.from('04', 'hex')), []);
+
+	const [incomplete] = manager.update(fragment(31, 2, 7), Buffer.from('05', 'hex'));
+
+	assert.strictEqual(incomplete.complete, false);
+	assert.strictEqual(incomplete.packet, second);
+	assert.strictEqual(incomplete.payload, undefined);
+	assert.deepStrictEqual(incomplete.sequenceIds, [10, 11]);
+	assert.deepStrictEqual(incomplete.missingSequenceIds, []);
+	assert.strictEqual(incomplete.missingLastFragment, true);
+	assert.deepStrictEqual([...manager.messages.keys()], [30]);
+});
+
+test('gives up on every pending message when the capture ends', () => {
+	const manager = new FragmentationManager();
+
+	manager.update(fragment(10, 1, 0), Buffer.from('01', 'hex'));
+	manager.update(fragment(12, 3, 0), Buffer.from('03', 'hex'));
+
+	const [incomplete] = manager.expire();
+
+	assert.strictEqual(incomplete.complete, false);
+	assert.deepStrictEqual(incomplete.sequenceIds, [10, 12]);
+	assert.deepStrictEqual(incomplete.missingSequenceIds, [11]);
+	assert.strictEqual(incomplete.missingLastFragment, true);
+	assert.strictEqual(manager.messages.size, 0);
+});
+
+test('marks the latest fragment of an incomplete message when the connection is flushed', () => {
+	const connection = new Connection('34.1.1.1:60000');
+	const cipher = crypto.createCipheriv('rc4', 'CD&ML', '');
+	const message = rmcRequest(10, 1, 1, Buffer.alloc(8));
+	const reliable = FLAGS.RELIABLE | FLAGS.NEED_ACK;
+
+	const packets = [
+		prudpV0Packet({ type: TYPES.SYN, flags: FLAGS.NEED_ACK }),
+		prudpV0Packet({ toServer: false, type: TYPES.SYN, flags: FLAGS.ACK }),
+		prudpV0Packet({ type: TYPES.CONNECT, flags: reliable, sequenceId: 1 }),
+		prudpV0Packet({ toServer: false, type: TYPES.CONNECT, flags: FLAGS.ACK, sequenceId: 1 }),
+		prudpV0Packet({ type: TYPES.DATA, flags: reliable, sequenceId: 2, fragmentId: 1, payload: cipher.update(message.subarray(0, 10)) }),
+		prudpV0Packet({ type: TYPES.DATA, flags: reliable, sequenceId: 3, fragmentId: 2, payload: cipher.update(message.subarray(10, 20)) })
+	];
+
+	for (const data of packets) {
+		const packet = new PacketV0(connection, new Stream(data));
+
+		if (connection.updateSession(packet)) {
+			connection.handlePacket(packet);
+		}
+	}
+
+	connection.flush();
+
+	const [first, second] = connection.packets.filter(packet => packet.isData());
+
+	assert.strictEqual(first.incompleteMessage, null);
+	assert.deepStrictEqual(second.incompleteMessage, {
+		sequenceIds: [2, 3],
+		missingSequenceIds: [],
+		missingLastFragment: true
+	});
+	assert.strictEqual(second.toJSON().incompleteMessage.missingLastFragment, true);
+});
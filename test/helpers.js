@@ -0,0 +1,243 @@
+// * Builders for the small captures, frames and packets used as test fixtures
+
+const Connection = require('../src/connection');
+const Packet = require('../src/packet');
+const PacketV0 = require('../src/packetv0');
+const Stream = require('../src/stream');
+
+const IP_PROTOCOL_UDP = 0x11;
+
+// * Access key of the Friends server, used to checksum PRUDPv0 packets
+const ACCESS_KEY = 'ridfebb9';
+
+/**
+ *
+ * @param {number} sourcePort UDP source port
+ * @param {number} destinationPort UDP destination port
+ * @param {Buffer} payload UDP payload
+ * @returns {Buffer} UDP header and payload
+ */
+function udpDatagram(sourcePort, destinationPort, payload) {
+	const header = Buffer.alloc(8);
+
+	header.writeUInt16BE(sourcePort, 0);
+	header.writeUInt16BE(destinationPort, 2);
+	header.writeUInt16BE(8 + payload.length, 4);
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ *
+ * @param {string} source Dotted IPv4 source address
+ * @param {string} destination Dotted IPv4 destination address
+ * @param {Buffer} payload IP payload
+ * @param {object} [options] Header fields
+ * @param {number} [options.protocol] IP protocol. Defaults to UDP
+ * @param {number} [options.identification] Fragment identification
+ * @param {boolean} [options.moreFragments] More fragments flag
+ * @param {number} [options.fragmentOffset] Fragment offset in bytes
+ * @returns {Buffer} IPv4 header and payload
+ */
+function ipv4Packet(source, destination, payload, options = {}) {
+	const header = Buffer.alloc(20);
+
+	header[0] = 0x45;
+	header.writeUInt16BE(20 + payload.length, 2);
+	header.writeUInt16BE(options.identification ?? 0, 4);
+	header.writeUInt16BE((options.moreFragments ? 0x2000 : 0) | ((options.fragmentOffset ?? 0) / 8), 6);
+	header[8] = 64;
+	header[9] = options.protocol ?? IP_PROTOCOL_UDP;
+	Buffer.from(source.split('.').map(Number)).copy(header, 12);
+	Buffer.from(destination.split('.').map(Number)).copy(header, 16);
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ *
+ * @param {string} source IPv6 source address as 32 hex characters
+ * @param {string} destination IPv6 destination address as 32 hex characters
+ * @param {number} nextHeader Type of the first header after the fixed header
+ * @param {Buffer} payload Extension headers and upper layer payload
+ * @returns {Buffer} IPv6 header and payload
+ */
+function ipv6Packet(source, destination, nextHeader, payload) {
+	const header = Buffer.alloc(40);
+
+	header[0] = 0x60;
+	header.writeUInt16BE(payload.length, 4);
+	header[6] = nextHeader;
+	header[7] = 64;
+	Buffer.from(source, 'hex').copy(header, 8);
+	Buffer.from(destination, 'hex').copy(header, 24);
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ *
+ * @param {number} etherType EtherType of the payload
+ * @param {Buffer} payload Network layer packet
+ * @returns {Buffer} Ethernet frame
+ */
+function ethernetFrame(etherType, payload) {
+	const header = Buffer.alloc(14);
+
+	header.writeUInt16BE(etherType, 12);
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ *
+ * @param {string} source Dotted IPv4 source address
+ * @param {number} sourcePort UDP source port
+ * @param {string} destination Dotted IPv4 destination address
+ * @param {number} destinationPort UDP destination port
+ * @param {Buffer} payload UDP payload
+ * @returns {Buffer} Ethernet frame carrying the UDP datagram over IPv4
+ */
+function udpFrame(source, sourcePort, destination, destinationPort, payload) {
+	return ethernetFrame(0x0800, ipv4Packet(source, destination, udpDatagram(sourcePort, destinationPort, payload)));
+}
+
+/**
+ *
+ * @param {Array<object>} frames Frames as `{ time, data }`, with the time in seconds
+ * @param {number} [linkType] Link-layer header type. Defaults to ethernet
+ * @returns {Buffer} Little endian microsecond pcap capture
+ */
+function pcap(frames, linkType = 1) {
+	const header = Buffer.alloc(24);
+
+	header.writeUInt32LE(0xA1B2C3D4, 0);
+	header.writeUInt16LE(2, 4);
+	header.writeUInt16LE(4, 6);
+	header.writeUInt32LE(0xFFFF, 16);
+	header.writeUInt32LE(linkType, 20);
+
+	const records = frames.map(({ time, data }) => {
+		const record = Buffer.alloc(16);
+
+		record.writeUInt32LE(Math.floor(time), 0);
+		record.writeUInt32LE(Math.round((time % 1) * 1e6), 4);
+		record.writeUInt32LE(data.length, 8);
+		record.writeUInt32LE(data.length, 12);
+
+		return Buffer.concat([record, data]);
+	});
+
+	return Buffer.concat([header, ...records]);
+}
+
+/**
+ *
+ * @param {object} fields Packet fields
+ * @param {boolean} [fields.toServer] Sent by the client. Defaults to true
+ * @param {number} fields.type One of `Packet.TYPES`
+ * @param {number} [fields.flags] `Packet.FLAGS`, HAS_SIZE is always added
+ * @param {number} [fields.sessionId] Session ID
+ * @param {number} [fields.sequenceId] Sequence ID
+ * @param {number} [fields.fragmentId] Fragment ID of DATA packets
+ * @param {Buffer} [fields.payload] Packet payload, already encrypted
+ * @returns {Buffer} PRUDPv0 packet, checksummed with the Friends access key
+ */
+function prudpV0Packet(fields) {
+	const flags = (fields.flags ?? 0) | Packet.FLAGS.HAS_SIZE;
+	const payload = fields.payload ?? Buffer.alloc(0);
+	const header = Buffer.alloc(11);
+
+	header[0] = fields.toServer === false ? 0xA1 : 0xAF;
+	header[1] = fields.toServer === false ? 0xAF : 0xA1;
+	header.writeUInt16LE((flags << 4) | fields.type, 2);
+	header[4] = fields.sessionId ?? 0;
+	header.writeUInt16LE(fields.sequenceId ?? 0, 9);
+
+	const parts = [header];
+
+	if (fields.type === Packet.TYPES.SYN || fields.type === Packet.TYPES.CONNECT) {
+		parts.push(Buffer.from(fields.toServer === false ? '55667788' : '11223344', 'hex'));
+	}
+
+	if (fields.type === Packet.TYPES.DATA) {
+		parts.push(Buffer.from([fields.fragmentId ?? 0]));
+	}
+
+	const size = Buffer.alloc(2);
+
+	size.writeUInt16LE(payload.length);
+	parts.push(size, payload, Buffer.alloc(1));
+
+	const data = Buffer.concat(parts);
+	const packet = new PacketV0(new Connection('checksum'), new Stream(data));
+
+	data[data.length - 1] = packet.calculateChecksum(ACCESS_KEY);
+
+	return data;
+}
+
+/**
+ *
+ * @param {object} fields Packet fields
+ * @param {boolean} [fields.toServer] Sent by the client. Defaults to true
+ * @param {number} fields.type One of `Packet.TYPES`
+ * @param {number} [fields.flags] `Packet.FLAGS`
+ * @param {number} [fields.sessionId] Session ID
+ * @param {number} [fields.substreamId] Substream ID
+ * @param {number} [fields.sequenceId] Sequence ID
+ * @param {Buffer} [fields.packetSpecificData] Encoded packet specific options
+ * @param {Buffer} [fields.payload] Packet payload, already encrypted
+ * @param {number} [fields.payloadSize] Payload size written to the header, if not the real one
+ * @returns {Buffer} PRUDPv1 packet with an empty signature
+ */
+function prudpV1Packet(fields) {
+	const packetSpecificData = fields.packetSpecificData ?? Buffer.alloc(0);
+	const payload = fields.payload ?? Buffer.alloc(0);
+	const header = Buffer.alloc(14);
+
+	header.writeUInt16BE(0xEAD0, 0);
+	header[2] = 1;
+	header[3] = packetSpecificData.length;
+	header.writeUInt16LE(fields.payloadSize ?? payload.length, 4);
+	header[6] = fields.toServer === false ? 0xA1 : 0xAF;
+	header[7] = fields.toServer === false ? 0xAF : 0xA1;
+	header.writeUInt16LE(((fields.flags ?? 0) << 4) | fields.type, 8);
+	header[10] = fields.sessionId ?? 0;
+	header[11] = fields.substreamId ?? 0;
+	header.writeUInt16LE(fields.sequenceId ?? 0, 12);
+
+	return Buffer.concat([header, Buffer.alloc(16), packetSpecificData, payload]);
+}
+
+/**
+ *
+ * @param {number} protocolId RMC protocol ID
+ * @param {number} callId Call ID
+ * @param {number} methodId Method ID
+ * @param {Buffer} [body] Request body
+ * @returns {Buffer} RMC request message
+ */
+function rmcRequest(protocolId, callId, methodId, body = Buffer.alloc(0)) {
+	const header = Buffer.alloc(13);
+
+	header.writeUInt32LE(9 + body.length, 0);
+	header[4] = protocolId | 0x80;
+	header.writeUInt32LE(callId, 5);
+	header.writeUInt32LE(methodId, 9);
+
+	return Buffer.concat([header, body]);
+}
+
+module.exports = {
+	ACCESS_KEY,
+	prudpV0Packet,
+	prudpV1Packet,
+	rmcRequest,
+	udpDatagram,
+	ipv4Packet,
+	ipv6Packet,
+	ethernetFrame,
+	udpFrame,
+	pcap
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IPReassembler = require('../src/ip_reassembler');
+const NEXParser = require('..');
+const { udpDatagram, ipv4Packet, ethernetFrame } = require('./helpers');
+
+/**
+ *
+ * @param {number} offset Fragment offset in bytes
+ * @param {boolean} more More fragments flag
+ * @param {Buffer} payload Fragment data
+ * @returns {object} IPv4 packet data carrying a fragment
+ */
+function fragment(offset, more, payload) {
+	return {
+		version: 4,
+		protocol: 17,
+		source: '192.168.0.2',
+		destination: '34.1.1.1',
+		payload,
+		fragment: {
+			id: 1,
+			offset,
+			more
+		}
+	};
+}
+
+test('reassembles fragments which arrive out of order', () => {
+	const reassembler = new IPReassembler();
+
+	assert.strictEqual(reassembler.update(fragment(8, false, Buffer.from('89')), 0), undefined);
+	assert.deepStrictEqual(reassembler.update(fragment(0, true, Buffer.from('01234567')), 0), Buffer.from('0123456789'));
+	assert.strictEqual(reassembler.datagrams.size, 0);
+});
+
+test('waits for every fragment', () => {
+	const reassembler = new IPReassembler();
+
+	assert.strictEqual(reassembler.update(fragment(0, true, Buffer.from('01234567')), 0), undefined);
+	assert.strictEqual(reassembler.update(fragment(16, false, Buffer.from('89')), 0), undefined);
+});
+
+test('drops fragments after the timeout', () => {
+	const reassembler = new IPReassembler(30);
+
+	reassembler.update(fragment(0, true, Buffer.from('01234567')), 0);
+
+	assert.strictEqual(reassembler.update(fragment(8, false, Buffer.from('89')), 31), undefined);
+});
+
+test('parses UDP datagrams split by the IPv4 layer', () => {
+	const parser = new NEXParser();
+	const udp = udpDatagram(50000, 60000, Buffer.from('0123456789abcdef'));
+
+	const first = ethernetFrame(0x0800, ipv4Packet('192.168.0.2', '34.1.1.1', udp.subarray(0, 16), {
+		identification: 7,
+		moreFragments: true
+	}));
+
+	const last = ethernetFrame(0x0800, ipv4Packet('192.168.0.2', '34.1.1.1', udp.subarray(16), {
+		identification: 7,
+		fragmentOffset: 16
+	}));
+
+	assert.strictEqual(parser.parseUDPPacket(first), undefined);
+	assert.deepStrictEqual(parser.parseUDPPacket(last).payload, Buffer.from('0123456789abcdef'));
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyStore = require('../src/key_store');
+
+const PID = 1750087940;
+const KEY = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+
+/**
+ *
+ * @param {Function} callback Ran with a temporary directory, which is removed afterwards
+ * @returns {*} Whatever the callback returns
+ */
+function withTemporaryDirectory(callback) {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nex-viewer-'));
+
+	try {
+		return callback(directory);
+	} finally {
+		fs.rmSync(directory, { recursive: true, force: true });
+	}
+}
+
+test('writes derived keys in place of passwords', () => {
+	withTemporaryDirectory(directory => {
+		const keysFilePath = path.join(directory, 'nex-keys.txt');
+		const keyStore = new KeyStore();
+
+		keyStore.addAccount(PID, 'password');
+		keyStore.writeKeysFile(keysFilePath);
+
+		const contents = fs.readFileSync(keysFilePath, { encoding: 'utf-8' });
+		const reloaded = new KeyStore();
+
+		reloaded.loadKeysFile(keysFilePath);
+
+		assert.ok(!contents.includes('password'));
+		assert.deepStrictEqual(reloaded.getKey(PID), keyStore.getKey(PID));
+	});
+});
+
+test('adds imported keys to an encrypted keys file', () => {
+	withTemporaryDirectory(directory => {
+		const keysFilePath = path.join(directory, 'nex-keys.enc');
+		const keyStore = new KeyStore();
+
+		keyStore.addAccount(1, 'password');
+		keyStore.writeEncryptedKeysFile(keysFilePath, 'passphrase');
+		keyStore.addToEncryptedKeysFile(keysFilePath, 'passphrase', [{ pid: PID, key: KEY }]);
+
+		const contents = fs.readFileSync(keysFilePath, { encoding: 'utf-8' });
+		const reloaded = new KeyStore();
+
+		reloaded.unlockKeysFile(keysFilePath, 'passphrase');
+
+		assert.ok(!contents.includes(KEY.toString('hex')));
+		assert.ok(reloaded.hasAccount(1));
+		assert.deepStrictEqual(reloaded.getKey(PID), KEY);
+	});
+});
+
+test('unlocks an encrypted keys file with the right passphrase only', () => {
+	withTemporaryDirectory(directory => {
+		const keysFilePath = path.join(directory, 'nex-keys.enc');
+		const keyStore = new KeyStore();
+
+		keyStore.addDerivedKey(PID, KEY.toString('hex'));
+		keyStore.writeEncryptedKeysFile(keysFilePath, 'passphrase');
+
+		const reloaded = new KeyStore();
+
+		assert.throws(() => reloaded.unlockKeysFile(keysFilePath, 'wrong'), /^Error: Wrong passphrase/);
+
+		reloaded.unlockKeysFile(keysFilePath, 'passphrase');
+
+		assert.deepStrictEqual(reloaded.getKey(PID), KEY);
+	});
+});
+
+test('rejects encrypted keys files with a bad header', () => {
+	const file = JSON.parse(KeyStore.encryptKeys(`${PID}:${KEY.toString('hex')}\n`, 'passphrase'));
+
+	/**
+	 *
+	 * @param {Function} change Changes a copy of the file
+	 * @returns {string} Encrypted keys file contents with the change
+	 */
+	const modified = change => {
+		const copy = structuredClone(file);
+
+		change(copy);
+
+		return JSON.stringify(copy);
+	};
+
+	const cases = [
+		['not JSON', 'nex-keys'],
+		['expected a JSON object', 'null'],
+		['unsupported version', modified(copy => copy.version = 2)],
+		['unsupported key derivation', modified(copy => delete copy.kdf)],
+		['cipher.iv is not base64', modified(copy => copy.cipher.iv = 12)],
+		['cipher.tag is not 16 bytes', modified(copy => copy.cipher.tag = 'AAAA')],
+		['kdf.N must be a power of two', modified(copy => copy.kdf.N = 2 ** 40)],
+		['kdf.N must be a power of two', modified(copy => copy.kdf.N = 1000)],
+		['kdf.r must be between', modified(copy => copy.kdf.r = 0)],
+		['kdf.p must be between', modified(copy => copy.kdf.p = 1e9)],
+		['kdf.N and kdf.r need more than', modified(copy => Object.assign(copy.kdf, { N: 2 ** 20, r: 32 }))]
+	];
+
+	for (const [problem, contents] of cases) {
+		assert.throws(() => KeyStore.decryptKeys(contents, 'passphrase', 'nex-keys.enc'), {
+			message: new RegExp(`^nex-keys.enc is not a valid encrypted keys file: ${problem}`)
+		});
+	}
+
+	assert.strictEqual(KeyStore.decryptKeys(JSON.stringify(file), 'passphrase', 'nex-keys.enc'), `${PID}:${KEY.toString('hex')}\n`);
+});
+
+test('reports a keys file which fails to load on every lookup', () => {
+	withTemporaryDirectory(directory => {
+		const keysFilePath = path.join(directory, 'nex-keys.txt');
+		const keyStore = new KeyStore();
+
+		fs.writeFileSync(keysFilePath, `${PID}:${KEY.toString('hex')}\nnot-a-pid:password\n`);
+		keyStore.loadKeysFile(keysFilePath);
+
+		assert.throws(() => keyStore.getKey(PID), /nex-keys\.txt line 2: /);
+		assert.throws(() => keyStore.hasAccount(PID), /nex-keys\.txt line 2: /);
+		assert.strictEqual(keyStore.accounts.size, 0);
+
+		fs.writeFileSync(keysFilePath, `${PID}:${KEY.toString('hex')}\n`);
+
+		assert.deepStrictEqual(keyStore.getKey(PID), KEY);
+	});
+});
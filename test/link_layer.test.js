@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LINK_TYPES, ETHER_TYPES, decodeFrame } = require('../src/link_layer');
+const { ipv4Packet, ethernetFrame } = require('./helpers');
+
+const IPV4 = ipv4Packet('192.168.0.2', '34.1.1.1', Buffer.from('abcd', 'hex'));
+const IPV6 = Buffer.concat([Buffer.from('60', 'hex'), Buffer.alloc(39)]);
+
+test('decodes ethernet frames', () => {
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.ETHERNET, ethernetFrame(0x0800, IPV4)), {
+		etherType: ETHER_TYPES.IPV4,
+		payload: IPV4
+	});
+});
+
+test('skips 802.3 frames carrying LLC', () => {
+	// * An 802.3 length in place of the EtherType, then an LLC header
+	const frame = ethernetFrame(IPV4.length + 3, Buffer.concat([Buffer.from('424203', 'hex'), IPV4]));
+
+	assert.strictEqual(decodeFrame(LINK_TYPES.ETHERNET, frame), undefined);
+});
+
+test('strips stacked VLAN tags', () => {
+	// * 802.1ad outer tag, then 802.1Q inner tag
+	const tags = Buffer.from('0064810000c80800', 'hex');
+	const frame = ethernetFrame(ETHER_TYPES.QINQ, Buffer.concat([tags, IPV4]));
+
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.ETHERNET, frame), {
+		etherType: ETHER_TYPES.IPV4,
+		payload: IPV4
+	});
+});
+
+test('decodes Linux cooked capture frames', () => {
+	const header = Buffer.alloc(16);
+
+	header.writeUInt16BE(ETHER_TYPES.IPV4, 14);
+
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.LINUX_SLL, Buffer.concat([header, IPV4])), {
+		etherType: ETHER_TYPES.IPV4,
+		payload: IPV4
+	});
+});
+
+test('decodes Linux cooked capture v2 frames', () => {
+	const header = Buffer.alloc(20);
+
+	header.writeUInt16BE(ETHER_TYPES.IPV6, 0);
+
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.LINUX_SLL2, Buffer.concat([header, IPV6])), {
+		etherType: ETHER_TYPES.IPV6,
+		payload: IPV6
+	});
+});
+
+test('decodes loopback frames in host byte order', () => {
+	const family = Buffer.alloc(4);
+
+	family.writeUInt32LE(2); // * AF_INET written by a little endian host
+
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.NULL, Buffer.concat([family, IPV4])), {
+		etherType: ETHER_TYPES.IPV4,
+		payload: IPV4
+	});
+});
+
+test('decodes loopback frames in network byte order', () => {
+	const family = Buffer.alloc(4);
+
+	family.writeUInt32BE(30); // * AF_INET6 on Darwin
+
+	assert.deepStrictEqual(decodeFrame(LINK_TYPES.LOOP, Buffer.concat([family, IPV6])), {
+		etherType: ETHER_TYPES.IPV6,
+		payload: IPV6
+	});
+});
+
+test('decodes raw IP frames by the IP version', () => {
+	assert.strictEqual(decodeFrame(LINK_TYPES.RAW, IPV4).etherType, ETHER_TYPES.IPV4);
+	assert.strictEqual(decodeFrame(LINK_TYPES.RAW, IPV6).etherType, ETHER_TYPES.IPV6);
+	assert.strictEqual(decodeFrame(LINK_TYPES.RAW, Buffer.from('00', 'hex')), undefined);
+});
+
+test('ignores frames truncated inside the link-layer header and unknown link types', () => {
+	assert.strictEqual(decodeFrame(LINK_TYPES.LINUX_SLL2, Buffer.alloc(1)), undefined);
+	assert.strictEqual(decodeFrame(147, IPV4), undefined);
+});
@@ -0,0 +1,271 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const NEXParser = require('..');
+const Packet = require('../src/packet');
+const { prudpV0Packet, rmcRequest, udpDatagram, ipv6Packet, ethernetFrame, udpFrame, pcap } = require('./helpers');
+
+const CLIENT_IPV6 = '20010db8000000000000000000000001';
+const SERVER_IPV6 = '20010db8000000000000000000000002';
+
+test('parses UDP over IPv6', () => {
+	const parser = new NEXParser();
+	const frame = ethernetFrame(0x86DD, ipv6Packet(CLIENT_IPV6, SERVER_IPV6, 17, udpDatagram(50000, 60000, Buffer.from('abcd', 'hex'))));
+	const udpPacket = parser.parseUDPPacket(frame);
+
+	assert.strictEqual(udpPacket.ipVersion, 6);
+	assert.strictEqual(udpPacket.source, '2001:db8::1');
+	assert.strictEqual(udpPacket.destination, '2001:db8::2');
+	assert.strictEqual(udpPacket.sourcePort, 50000);
+	assert.strictEqual(udpPacket.destinationPort, 60000);
+	assert.deepStrictEqual(udpPacket.payload, Buffer.from('abcd', 'hex'));
+});
+
+test('walks IPv6 extension headers to the UDP header', () => {
+	const parser = new NEXParser();
+
+	// * Hop-by-hop options then destination options, 8 bytes each
+	const hopByHop = Buffer.from('3c00000000000000', 'hex');
+	const destinationOptions = Buffer.from('1100000000000000', 'hex');
+	const udp = udpDatagram(50000, 60000, Buffer.from('01', 'hex'));
+	const frame = ethernetFrame(0x86DD, ipv6Packet(CLIENT_IPV6, SERVER_IPV6, 0, Buffer.concat([hopByHop, destinationOptions, udp])));
+
+	assert.deepStrictEqual(parser.parseUDPPacket(frame).payload, Buffer.from('01', 'hex'));
+});
+
+test('skips IPv6 packets with an ESP header', () => {
+	const parser = new NEXParser();
+	const frame = ethernetFrame(0x86DD, ipv6Packet(CLIENT_IPV6, SERVER_IPV6, 50, Buffer.alloc(16)));
+
+	assert.strictEqual(parser.parseUDPPacket(frame), undefined);
+});
+
+test('compresses the longest run of zero groups in IPv6 addresses', () => {
+	const parser = new NEXParser();
+
+	assert.strictEqual(parser.bytes2ipv6(Buffer.from('20010db8000000010000000000000001', 'hex')), '2001:db8:0:1::1');
+	assert.strictEqual(parser.bytes2ipv6(Buffer.from('00000000000000000000000000000001', 'hex')), '::1');
+});
+
+test('discards truncated frames and keeps parsing the capture', async () => {
+	const parser = new NEXParser();
+	const syn = Buffer.from('afa14000000000000000001122334400', 'hex');
+	const synAck = Buffer.from('a1af5000000000000000005566778800', 'hex');
+	const discarded = [];
+	const packets = [];
+
+	parser.on('discarded', datagram => discarded.push(datagram));
+	parser.on('packet', packet => packets.push(packet));
+
+	const capture = pcap([
+		{ time: 1, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, syn).subarray(0, 34) }, // * Cut short by the snapshot length
+		{ time: 2, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, syn) },
+		{ time: 3, data: udpFrame('34.1.1.1', 60000, '192.168.0.2', 50000, synAck) }
+	]);
+
+	const connections = await parser.parseFile(capture);
+
+	assert.strictEqual(discarded.length, 1);
+	assert.strictEqual(discarded[0].source, null);
+	assert.match(discarded[0].reasons[0], /Truncated IPv4 packet/);
+	assert.strictEqual(packets.length, 2);
+	assert.strictEqual(connections.length, 1);
+});
+
+test('throws clear errors for truncated headers', () => {
+	const parser = new NEXParser();
+	const frame = ethernetFrame(0x86DD, ipv6Packet(CLIENT_IPV6, SERVER_IPV6, 17, udpDatagram(50000, 60000, Buffer.alloc(4))));
+
+	assert.throws(() => parser.parseUDPPacket(frame.subarray(0, 40)), /Truncated IPv6 header/);
+	assert.throws(() => parser.parseUDPPacket(frame.subarray(0, 60)), /Truncated IPv6 packet/);
+});
+
+test('keeps the rest of a datagram when one packet does not fit the session', async () => {
+	const parser = new NEXParser();
+	const packets = [];
+
+	parser.on('packet', packet => packets.push(packet));
+
+	// * A CONNECT before any SYN is rejected, the SYN after it in the same datagram is not
+	const datagram = Buffer.concat([
+		prudpV0Packet({ type: Packet.TYPES.CONNECT, flags: Packet.FLAGS.RELIABLE | Packet.FLAGS.NEED_ACK, sequenceId: 1 }),
+		prudpV0Packet({ type: Packet.TYPES.SYN, flags: Packet.FLAGS.NEED_ACK })
+	]);
+
+	const connections = await parser.parseFile(pcap([
+		{ time: 1, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, datagram) },
+		{ time: 2, data: udpFrame('34.1.1.1', 60000, '192.168.0.2', 50000, prudpV0Packet({ toServer: false, type: Packet.TYPES.SYN, flags: Packet.FLAGS.ACK })) }
+	]));
+
+	assert.strictEqual(connections.length, 1);
+	assert.deepStrictEqual(packets.map(packet => packet.type), [Packet.TYPES.SYN, Packet.TYPES.SYN]);
+});
+
+test('reassembles IPv6 fragments which start with an extension header', () => {
+	const parser = new NEXParser();
+
+	// * Destination options then UDP, split after 16 bytes
+	const destinationOptions = Buffer.from('1100000000000000', 'hex');
+	const fragmentable = Buffer.concat([destinationOptions, udpDatagram(50000, 60000, Buffer.from('0123456789abcdef'))]);
+
+	/**
+	 *
+	 * @param {number} offset Fragment offset in bytes
+	 * @param {boolean} more More fragments flag
+	 * @param {Buffer} data Fragment data
+	 * @returns {Buffer} Ethernet frame carrying the IPv6 fragment
+	 */
+	const fragment = (offset, more, data) => {
+		const header = Buffer.alloc(8);
+
+		header[0] = 60; // * Destination options
+		header.writeUInt16BE(offset | (more ? 1 : 0), 2);
+		header.writeUInt32BE(7, 4);
+
+		return ethernetFrame(0x86DD, ipv6Packet(CLIENT_IPV6, SERVER_IPV6, 44, Buffer.concat([header, data])));
+	};
+
+	assert.strictEqual(parser.parseUDPPacket(fragment(0, true, fragmentable.subarray(0, 16))), undefined);
+	assert.deepStrictEqual(parser.parseUDPPacket(fragment(16, false, fragmentable.subarray(16))).payload, Buffer.from('0123456789abcdef'));
+});
+
+test('discards a record cut off at the end of the capture', async () => {
+	const parser = new NEXParser();
+	const discarded = [];
+
+	parser.on('discarded', datagram => discarded.push(datagram));
+
+	const capture = pcap([{ time: 1, data: Buffer.from('0102', 'hex') }]);
+
+	await parser.parseFile(capture.subarray(0, capture.length - 1));
+
+	assert.strictEqual(discarded.length, 1);
+	assert.deepStrictEqual(discarded[0].reasons, ['Capture ends partway through a record']);
+});
+
+test('discards packets which arrive after the session timed out', async () => {
+	const parser = new NEXParser({ idleTimeout: 60 });
+	const reliable = Packet.FLAGS.RELIABLE | Packet.FLAGS.NEED_ACK;
+	const discarded = [];
+
+	parser.on('discarded', datagram => discarded.push(datagram));
+
+	await parser.parseFile(pcap([
+		{ time: 1, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, prudpV0Packet({ type: Packet.TYPES.SYN, flags: Packet.FLAGS.NEED_ACK })) },
+		{ time: 2, data: udpFrame('34.1.1.1', 60000, '192.168.0.2', 50000, prudpV0Packet({ toServer: false, type: Packet.TYPES.SYN, flags: Packet.FLAGS.ACK })) },
+		{ time: 3, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, prudpV0Packet({ type: Packet.TYPES.CONNECT, flags: reliable, sequenceId: 1 })) },
+		{ time: 4, data: udpFrame('34.1.1.1', 60000, '192.168.0.2', 50000, prudpV0Packet({ toServer: false, type: Packet.TYPES.CONNECT, flags: Packet.FLAGS.ACK, sequenceId: 1 })) },
+		{ time: 100, data: udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, prudpV0Packet({ type: Packet.TYPES.DATA, flags: reliable, sequenceId: 2, payload: Buffer.alloc(8) })) }
+	]));
+
+	assert.strictEqual(discarded.length, 1);
+	assert.strictEqual(discarded[0].source, '192.168.0.2:50000');
+	assert.deepStrictEqual(discarded[0].reasons, ['Session closed (idle timeout)']);
+});
+
+test('carries connections, session keys and time over to the next capture', async () => {
+	const parser = new NEXParser();
+	const pid = 1750087940;
+	const sessionKey = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+	const reliable = Packet.FLAGS.RELIABLE | Packet.FLAGS.NEED_ACK;
+	const packets = [];
+
+	/**
+	 *
+	 * @param {string} string String to write
+	 * @returns {Buffer} NEX string, with its length and null terminator
+	 */
+	const nexString = string => {
+		const length = Buffer.alloc(2);
+
+		length.writeUInt16LE(string.length + 1);
+
+		return Buffer.concat([length, Buffer.from(`${string}\0`)]);
+	};
+
+	/**
+	 *
+	 * @param {string} server Address and port of the server
+	 * @param {(string|Buffer)} key RC4 key of the session
+	 * @param {Buffer} request Plain RMC request from the client
+	 * @param {Buffer} [response] Plain RMC response from the server
+	 * @returns {Array<object>} Frames of one session, without their capture times
+	 */
+	const session = (server, key, request, response) => {
+		const [address, port] = server.split(':');
+		const toServer = data => ({ data: udpFrame('192.168.0.2', 50000, address, Number(port), data) });
+		const toClient = data => ({ data: udpFrame(address, Number(port), '192.168.0.2', 50000, data) });
+		const clientCipher = crypto.createCipheriv('rc4', key, '');
+		const serverCipher = crypto.createCipheriv('rc4', key, '');
+
+		const frames = [
+			toServer(prudpV0Packet({ type: Packet.TYPES.SYN, flags: Packet.FLAGS.NEED_ACK })),
+			toClient(prudpV0Packet({ toServer: false, type: Packet.TYPES.SYN, flags: Packet.FLAGS.ACK })),
+			toServer(prudpV0Packet({ type: Packet.TYPES.CONNECT, flags: reliable, sequenceId: 1 })),
+			toClient(prudpV0Packet({ toServer: false, type: Packet.TYPES.CONNECT, flags: Packet.FLAGS.ACK, sequenceId: 1 })),
+			toServer(prudpV0Packet({ type: Packet.TYPES.DATA, flags: reliable, sequenceId: 2, payload: clientCipher.update(request) }))
+		];
+
+		if (response) {
+			frames.push(toClient(prudpV0Packet({ toServer: false, type: Packet.TYPES.DATA, flags: reliable, sequenceId: 1, payload: serverCipher.update(response) })));
+		}
+
+		return frames;
+	};
+
+	// * Kerberos ticket holding the session key, encrypted with the key of the account
+	const kerberosKey = Buffer.from('ffeeddccbbaa99887766554433221100', 'hex');
+	const ticketData = Buffer.alloc(24);
+
+	sessionKey.copy(ticketData);
+	ticketData.writeUInt32LE(pid, 16);
+
+	const encryptedTicket = crypto.createCipheriv('rc4', kerberosKey, '').update(ticketData);
+	const ticket = Buffer.concat([encryptedTicket, crypto.createHmac('md5', kerberosKey).update(encryptedTicket).digest()]);
+
+	// * Login response pointing at the secure server
+	const loginBody = Buffer.alloc(12);
+
+	loginBody.writeUInt32LE(0x10001, 0);
+	loginBody.writeUInt32LE(pid, 4);
+	loginBody.writeUInt32LE(ticket.length, 8);
+
+	const body = Buffer.concat([
+		loginBody,
+		ticket,
+		nexString('prudps:/address=52.2.2.2;port=60001;CID=1;PID=2;sid=1;stream=10;type=2'),
+		Buffer.alloc(4),
+		nexString('prudp:/'),
+		nexString('')
+	]);
+
+	const loginResponse = Buffer.alloc(14);
+
+	loginResponse.writeUInt32LE(10 + body.length, 0);
+	loginResponse[4] = 0xA;
+	loginResponse[5] = 1;
+	loginResponse.writeUInt32LE(1, 6);
+	loginResponse.writeUInt32LE(0x8001, 10);
+
+	parser.addDerivedKey(pid, kerberosKey);
+	parser.on('packet', packet => packets.push(packet));
+
+	const login = session('34.1.1.1:60000', 'CD&ML', rmcRequest(0xA, 1, 1, nexString('user')), Buffer.concat([loginResponse, body]));
+	const secure = session('52.2.2.2:60001', sessionKey, rmcRequest(0xB, 2, 4));
+
+	const connections = await parser.parseFiles([
+		pcap(login.map((frame, index) => ({ time: 1 + index, ...frame }))),
+		pcap(secure.map((frame, index) => ({ time: 10 + index, ...frame })))
+	]);
+
+	assert.deepStrictEqual(connections.map(connection => connection.discriminator), ['34.1.1.1:60000', '52.2.2.2:60001']);
+	assert.ok(connections[1].isSecureServer);
+	assert.deepStrictEqual(connections[1].sessionKey, sessionKey);
+	assert.strictEqual(connections[1].clientPID, pid);
+
+	const request = packets.find(packet => packet.isData() && packet.connection === connections[1]);
+
+	assert.strictEqual(request.rmcMessage.protocolId, 0xB);
+	assert.strictEqual(request.rmcMessage.callId, 2);
+	assert.strictEqual(request.relativeTime, 13);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PRUDPClassifier = require('../src/prudp_classifier');
+const Connection = require('../src/connection');
+const Packet = require('../src/packet');
+const { prudpV1Packet } = require('./helpers');
+
+const { TYPES, FLAGS } = Packet;
+
+test('classifies PRUDPv1 datagrams whose sizes add up', () => {
+	const classifier = new PRUDPClassifier();
+	const datagram = prudpV1Packet({ type: TYPES.DATA, flags: FLAGS.ACK, payload: Buffer.from('0102', 'hex') });
+
+	const classification = classifier.classify(datagram, new Connection('34.1.1.1:60000'));
+
+	assert.strictEqual(classification.version, 1);
+	assert.strictEqual(classification.packets.length, 1);
+	assert.deepStrictEqual(classification.packets[0].payload, Buffer.from('0102', 'hex'));
+});
+
+test('discards PRUDPv1 headers claiming more payload than the datagram holds', () => {
+	const classifier = new PRUDPClassifier();
+	const datagram = prudpV1Packet({ type: TYPES.DATA, flags: FLAGS.ACK, payload: Buffer.from('0102', 'hex'), payloadSize: 0xFFFF });
+
+	const classification = classifier.classify(datagram, new Connection('34.1.1.1:60000'));
+
+	assert.strictEqual(classification.version, null);
+	assert.deepStrictEqual(classification.packets, []);
+	assert.match(classification.reasons[0], /^PRUDPv1 \(score 2\): packet 0 failed to decode: Packet payload too large/);
+});
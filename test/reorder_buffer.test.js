@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const ReorderBuffer = require('../src/reorder_buffer');
+const Packet = require('../src/packet');
+const NEXParser = require('..');
+const { prudpV0Packet, rmcRequest, udpFrame, pcap } = require('./helpers');
+
+const { TYPES, FLAGS } = Packet;
+
+/**
+ *
+ * @param {Array<number>} sequenceIds Sequence IDs of the packets
+ * @returns {Array<object>} Stand-ins for reliable DATA packets
+ */
+function packets(sequenceIds) {
+	return sequenceIds.map(sequenceId => ({ sequenceId }));
+}
+
+test('releases packets in sequence order', () => {
+	const buffer = new ReorderBuffer();
+	const [first, second, third] = packets([5, 6, 7]);
+
+	assert.deepStrictEqual(buffer.push(first).packets, [first]);
+	assert.deepStrictEqual(buffer.push(third).packets, []);
+	assert.deepStrictEqual(buffer.push(second).packets, [second, third]);
+});
+
+test('holds the first packet to arrive when the handshake says an earlier one is due', () => {
+	const buffer = new ReorderBuffer();
+	const [first, second] = packets([2, 3]);
+
+	buffer.start(2);
+
+	assert.deepStrictEqual(buffer.push(second).packets, []);
+	assert.deepStrictEqual(buffer.push(first).packets, [first, second]);
+	assert.strictEqual(second.arrivedLate, undefined);
+});
+
+test('ignores the handshake once packets have been pushed', () => {
+	const buffer = new ReorderBuffer();
+	const [first] = packets([9]);
+
+	buffer.push(first);
+	buffer.start(2);
+
+	assert.strictEqual(buffer.expectedSequenceId, 10);
+});
+
+test('gives up on a missing sequence ID once the window is full', () => {
+	const buffer = new ReorderBuffer({ window: 2 });
+	const [first, third, fourth, fifth] = packets([0, 2, 3, 4]);
+
+	buffer.push(first);
+	buffer.push(third);
+	buffer.push(fourth);
+
+	const { packets: released, missing } = buffer.push(fifth);
+
+	assert.deepStrictEqual(released, [third, fourth, fifth]);
+	assert.deepStrictEqual(missing, [1]);
+	assert.deepStrictEqual(third.missingSequenceIds, [1]);
+
+	const [late] = packets([1]);
+
+	assert.deepStrictEqual(buffer.push(late).packets, [late]);
+	assert.strictEqual(late.arrivedLate, true);
+});
+
+test('flushes held packets across gaps', () => {
+	const buffer = new ReorderBuffer();
+	const [first, third, sixth] = packets([0, 2, 5]);
+
+	buffer.push(first);
+	buffer.push(sixth);
+	buffer.push(third);
+
+	const { packets: released, missing } = buffer.flush();
+
+	assert.deepStrictEqual(released, [third, sixth]);
+	assert.deepStrictEqual(missing, [1, 3, 4]);
+	assert.strictEqual(buffer.held.size, 0);
+});
+
+test('decrypts the first DATA packets of a session in sequence order when captured swapped', async () => {
+	const parser = new NEXParser();
+	const cipher = crypto.createCipheriv('rc4', 'CD&ML', '');
+	const firstPayload = cipher.update(rmcRequest(10, 1, 1));
+	const secondPayload = cipher.update(rmcRequest(10, 2, 1));
+	const reliable = FLAGS.RELIABLE | FLAGS.NEED_ACK;
+
+	const toServer = data => udpFrame('192.168.0.2', 50000, '34.1.1.1', 60000, data);
+	const toClient = data => udpFrame('34.1.1.1', 60000, '192.168.0.2', 50000, data);
+
+	const capture = pcap([
+		{ time: 1, data: toServer(prudpV0Packet({ type: TYPES.SYN, flags: FLAGS.NEED_ACK })) },
+		{ time: 2, data: toClient(prudpV0Packet({ toServer: false, type: TYPES.SYN, flags: FLAGS.ACK })) },
+		{ time: 3, data: toServer(prudpV0Packet({ type: TYPES.CONNECT, flags: reliable, sequenceId: 1 })) },
+		{ time: 4, data: toClient(prudpV0Packet({ toServer: false, type: TYPES.CONNECT, flags: FLAGS.ACK, sequenceId: 1 })) },
+		{ time: 5, data: toServer(prudpV0Packet({ type: TYPES.DATA, flags: reliable, sequenceId: 3, payload: secondPayload })) },
+		{ time: 6, data: toServer(prudpV0Packet({ type: TYPES.DATA, flags: reliable, sequenceId: 2, payload: firstPayload })) }
+	]);
+
+	const [connection] = await parser.parseFile(capture);
+	const data = connection.packets.filter(packet => packet.isData());
+
+	// * Kept in capture order, but decrypted in sequence order
+	assert.deepStrictEqual(data.map(packet => packet.sequenceId), [3, 2]);
+	assert.deepStrictEqual(data.map(packet => packet.rmcMessage.callId), [2, 1]);
+	assert.ok(data.every(packet => !packet.arrivedLate));
+});